@@ -45,24 +45,49 @@ License: MIT
 	var Papa = {};
 
 	Papa.parse = CsvToJson;
+	Papa.buildIndex = BuildIndex;
+	Papa.openRemote = OpenRemote;
+	Papa.rows = Rows;
+	Papa.fetchTransport = FetchTransport;
 
 	Papa.RECORD_SEP = String.fromCharCode(30);
 	Papa.UNIT_SEP = String.fromCharCode(31);
 	Papa.BYTE_ORDER_MARK = '\ufeff';
 	Papa.BAD_DELIMITERS = ['\r', '\n', '"', Papa.BYTE_ORDER_MARK];
+	Papa.NODE_STREAM_INPUT = 1;
 
-	// Configurable chunk sizes for remote files
+	// Configurable chunk sizes for local and remote files, respectively
+	Papa.LocalChunkSize = 1024 * 1024 * 10;	// 10 MB
 	Papa.RemoteChunkSize = 1024 * 1024 * 5;	// 5 MB
 	Papa.DefaultDelimiter = ',';			// Used if not specified and detection fails
+	Papa.DefaultIndexInterval = 1000;		// Number of rows between two offsets of an index
+	Papa.RemoteCacheSize = 4;			// Number of remote chunks kept in memory by openRemote
+	Papa.RemoteRetryDelay = 1000;		// Milliseconds before the first retry of a failed request, doubled for each next one
+	Papa.RemoteRetryStatusCodes = [408, 429, 500, 502, 503, 504];	// HTTP statuses of the requests that can be retried
 
 	// Exposed for testing and development only
 	Papa.Parser = Parser;
 	Papa.ParserHandle = ParserHandle;
 	Papa.NetworkStreamer = NetworkStreamer;
+	Papa.FileStreamer = FileStreamer;
 	Papa.StringStreamer = StringStreamer;
+	Papa.BufferStreamer = BufferStreamer;
+	Papa.ReadableStreamStreamer = ReadableStreamStreamer;
+	Papa.NodeStreamStreamer = NodeStreamStreamer;
+	if (typeof PAPA_BROWSER_CONTEXT === 'undefined')
+	{
+		Papa.DuplexStreamStreamer = DuplexStreamStreamer;
+		Papa.NodeFileStreamer = NodeFileStreamer;
+	}
+
+	// The encodings whose characters have varying sizes, besides UTF-8 (names normalized by TextDecoder)
+	var VARIABLE_WIDTH_ENCODINGS = ['big5', 'euc-jp', 'euc-kr', 'gb18030', 'gbk', 'iso-2022-jp', 'shift_jis'];
+
+	// The values of the compression option: 'auto' detects gzip or deflate from the first bytes
+	var COMPRESSIONS = ['gzip', 'deflate', 'auto'];
 
-	// Strip character from UTF-8 BOM encoded files that cause issue parsing the file
-	// Note(SL): take the BOM into account when calculating byte offsets (see the ignoreBOM TextDecoder option too)
+	// Strip character from UTF-8 BOM encoded header fields.
+	// The input itself keeps its BOM: the Parser skips it, but counts its bytes in the first row.
 	function stripBom(string) {
 		if (string.charCodeAt(0) === 0xfeff) {
 			return string.slice(1);
@@ -74,21 +99,365 @@ License: MIT
 	{
 		_config = _config || {};
 
+		if (_input === Papa.NODE_STREAM_INPUT && typeof PAPA_BROWSER_CONTEXT === 'undefined')
+		{
+			// create a node Duplex stream for use
+			// with .pipe
+			if (_config.compression)
+				throw new Error('The compression option is not supported with Papa.NODE_STREAM_INPUT: pipe through zlib instead');
+			var duplex = new DuplexStreamStreamer(_config);
+			return duplex.getStream();
+		}
+
+		var streamer = createStreamer(_input, _config);
+		streamer._start(_input);
+		return streamer._promise;
+	}
+
+	/** Returns the streamer suited to the input, which is validated */
+	function createStreamer(_input, _config)
+	{
 		var streamer = null;
 
-		if (typeof _input !== 'string') {
-			throw new Error('Input must be a string');
+		if (_config.compression && typeof _input === 'string' && !_config.download && !_config.file)
+			throw new Error('The compression option requires an input of bytes, a URL or a file');
+
+		var isFileDescriptor = _config.file && typeof _input === 'number';
+		if (typeof _input !== 'string' && !isFileDescriptor && !isBuffer(_input) && !isBlob(_input) && !isReadableStream(_input) && !isNodeStream(_input)) {
+			throw new Error('Input must be a string, an ArrayBuffer, a Blob, a ReadableStream or a Node.js Readable stream');
 		}
 		if (!isFunction(_config.step)) {
 			throw new Error('Step function required for async parsing.');
 		}
 
-		if (_config.download)
+		if (_config.compression && !_config.download)
+			streamer = new ReadableStreamStreamer(_config);	// Reads the decompressed bytes of any input
+		else if (isBuffer(_input))
+			streamer = new BufferStreamer(_config);
+		else if (isBlob(_input))
+			streamer = new FileStreamer(_config);
+		else if (isReadableStream(_input))
+			streamer = new ReadableStreamStreamer(_config);
+		else if (isNodeStream(_input))
+			streamer = new NodeStreamStreamer(_config);
+		else if (_config.file && typeof PAPA_BROWSER_CONTEXT === 'undefined')
+			streamer = new NodeFileStreamer(_config);
+		else if (_config.download)
 			streamer = new NetworkStreamer(_config);
 		else
 			streamer = new StringStreamer(_config);
 
-		return streamer.stream(_input);
+		return streamer;
+	}
+
+
+	/**
+	 * Returns an async iterator over the results of the rows, for `for await (const { data, meta } of Papa.rows(input))`.
+	 * Parsing starts with the first call to next(), and leaving the loop early aborts it.
+	 */
+	function Rows(_input, _config)
+	{
+		var queue = [];		// Results not consumed yet
+		var waiting = null;	// The pending next() call, when the queue is empty
+		var started = false;
+		var done = false;
+		var failure = null;
+		var highWaterMark = 1000;	// Parsing is paused while this many results are not consumed
+
+		var config = copy(_config || {});
+		// Leaving the loop early aborts this signal, to cancel the pending and prefetched requests too
+		var controller = typeof AbortController === 'function' ? new AbortController() : null;
+		var userSignal = config.signal;
+		var onUserAbort = function()
+		{
+			controller.abort(userSignal.reason);
+		};
+		if (controller)
+		{
+			if (userSignal && userSignal.aborted)
+				onUserAbort();
+			else if (userSignal)
+				userSignal.addEventListener('abort', onUserAbort);
+			config.signal = controller.signal;
+		}
+		config.step = function(results, handle)
+		{
+			if (done)
+				return;
+			if (waiting)
+				settle({ value: results, done: false });
+			else
+			{
+				queue.push(results);
+				if (queue.length >= highWaterMark)
+					handle.pause();
+			}
+		};
+		var streamer = createStreamer(_input, config);
+		streamer._promise.then(function() {
+			done = true;
+			if (waiting)
+				settle({ value: undefined, done: true });
+		}, function(error) {
+			failure = error;
+			if (waiting)
+				settle();
+		}).then(function() {
+			if (userSignal && controller)
+				userSignal.removeEventListener('abort', onUserAbort);
+		});
+
+		function settle(result)
+		{
+			var pending = waiting;
+			waiting = null;
+			if (result)
+				pending.resolve(result);
+			else
+			{
+				done = true;
+				pending.reject(failure);
+			}
+		}
+
+		var iterator = {
+			next: function()
+			{
+				if (!started)
+				{
+					started = true;
+					streamer._start(_input);
+				}
+				if (queue.length)
+				{
+					var value = queue.shift();
+					if (!queue.length)
+						streamer._handle.resume();
+					return Promise.resolve({ value: value, done: false });
+				}
+				if (failure && !done)
+				{
+					done = true;
+					return Promise.reject(failure);
+				}
+				if (done)
+					return Promise.resolve({ value: undefined, done: true });
+				return new Promise(function(resolve, reject) {
+					waiting = { resolve: resolve, reject: reject };
+				});
+			},
+			return: function()
+			{
+				// Leaving the loop early
+				done = true;
+				queue = [];
+				if (!streamer._completed && !streamer._handle.aborted())
+					streamer._handle.abort();
+				if (controller)
+					controller.abort();
+				return Promise.resolve({ value: undefined, done: true });
+			}
+		};
+		iterator[Symbol.asyncIterator] = function()
+		{
+			return iterator;
+		};
+		return iterator;
+	}
+
+
+	/**
+	 * Parses the whole input once, and records the byte offset of every Nth row (`every` option, default 1000).
+	 * Resolves with a serializable index: parsing can then start at any of these rows with the offset option.
+	 */
+	function BuildIndex(_input, _config)
+	{
+		_config = _config || {};
+
+		var every = parseInt(_config.every) || Papa.DefaultIndexInterval;
+		var index = {
+			every: every,
+			offsets: [],	// offsets[i] is the byte offset of the row i * every
+			rowCount: 0,
+			endByte: 0,	// The byte offset after the last row
+			delimiter: undefined,
+			linebreak: undefined
+		};
+
+		var config = copy(_config);
+		config.step = function(results)
+		{
+			if (index.rowCount % every === 0)
+				index.offsets.push(results.meta.firstByte);
+			index.rowCount++;
+			index.endByte = results.meta.firstByte + results.meta.numBytes;
+			index.delimiter = results.meta.delimiter;
+			index.linebreak = results.meta.linebreak;
+			if (results.meta.fields)
+				index.fields = results.meta.fields;
+		};
+
+		return CsvToJson(_input, config).then(function()
+		{
+			return index;
+		});
+	}
+
+
+	/**
+	 * Opens a remote file for random access by row number. Resolves with a handle exposing the header
+	 * fields, the dialect, an estimated row count and getRows(startRow, endRow).
+	 * The rows are located with a sparse index (the one given in the index option, see Papa.buildIndex,
+	 * else one completed as rows are read), and the downloaded chunks are cached (cacheSize option).
+	 */
+	function OpenRemote(_url, _config)
+	{
+		_config = _config || {};
+		// The rows are read at byte offsets, which can't be seeked into a compressed file
+		if (_config.compression)
+			throw new Error('Papa.openRemote does not support compressed sources');
+
+		var SAMPLE_ROWS = 100;	// Rows read when opening, to find the header and estimate the row count
+
+		var index = _config.index;
+		var every = index ? index.every : parseInt(_config.every) || Papa.DefaultIndexInterval;
+		var offsets = index ? index.offsets.slice() : [];	// offsets[i] is the byte offset of the row i * every
+		var rowCount = index ? index.rowCount : undefined;	// Exact row count, once known
+		var cache = new ChunkCache(parseInt(_config.cacheSize) || Papa.RemoteCacheSize);
+
+		var parseConfig = copy(_config);
+		['step', 'complete', 'error', 'progress', 'offset', 'endOffset', 'resync', 'preview', 'tail', 'index', 'every', 'cacheSize'].forEach(function(key) {
+			delete parseConfig[key];
+		});
+		if (index)
+		{
+			parseConfig.delimiter = parseConfig.delimiter || index.delimiter;
+			parseConfig.newline = parseConfig.newline || index.linebreak;
+		}
+
+		var sampleEnd = 0;	// The byte offset after the last row of the sample
+		var remote = {
+			fields: undefined,
+			delimiter: undefined,
+			linebreak: undefined,
+			estimatedRowCount: rowCount,
+			getRows: getRows
+		};
+
+		return readRows(0, 0, SAMPLE_ROWS, function(results, row) {
+			if (row === 0)
+			{
+				remote.fields = results.meta.fields;
+				remote.delimiter = results.meta.delimiter;
+				remote.linebreak = results.meta.linebreak;
+				if (!offsets.length)
+					offsets.push(results.meta.firstByte);
+			}
+			sampleEnd = results.meta.firstByte + results.meta.numBytes;
+		}).then(function(sampled) {
+			// Reuse the header and dialect of the sample in the following parses
+			parseConfig.fields = remote.fields;
+			parseConfig.delimiter = remote.delimiter;
+			parseConfig.newline = remote.linebreak;
+
+			if (rowCount === undefined && sampled.rows > 0 && cache.fileSize > 0 && isFinite(cache.fileSize))
+			{
+				var averageBytes = (sampleEnd - offsets[0]) / sampled.rows;
+				remote.estimatedRowCount = Math.round((cache.fileSize - offsets[0]) / averageBytes);
+			}
+			return remote;
+		});
+
+		/** Resolves with the rows from startRow (inclusive) to endRow (exclusive) */
+		function getRows(startRow, endRow)
+		{
+			startRow = Math.max(0, parseInt(startRow) || 0);
+			endRow = endRow === undefined ? Infinity : parseInt(endRow);
+			if (rowCount !== undefined)
+				endRow = Math.min(endRow, rowCount);
+			if (startRow >= endRow || !offsets.length)
+				return Promise.resolve([]);
+
+			// Start from the closest known row before startRow
+			var anchor = Math.min(Math.floor(startRow / every), offsets.length - 1);
+			var rows = [];
+			return readRows(offsets[anchor], anchor * every, endRow, function(results, row) {
+				if (row >= startRow)
+					rows.push(results.data);
+			}).then(function() {
+				return rows;
+			});
+		}
+
+		/**
+		 * Parses from the given byte offset, where the row firstRow starts, up to the row endRow (exclusive).
+		 * Records the offsets of the rows met on the way, and the row count when the end of the file is reached.
+		 */
+		function readRows(offset, firstRow, endRow, onRow)
+		{
+			var row = firstRow;
+			var reachedEnd = true;
+			var config = copy(parseConfig);
+			config.offset = offset;
+			config.step = function(results, parser)
+			{
+				if (row % every === 0 && row / every === offsets.length)
+					offsets.push(results.meta.firstByte);
+				onRow(results, row);
+				if (++row >= endRow)
+				{
+					reachedEnd = false;
+					parser.abort();
+				}
+			};
+
+			var streamer = new NetworkStreamer(config);
+			streamer._cache = cache;
+			streamer._start(_url);
+			return streamer._promise.then(function() {
+				parseConfig.encoding = streamer._config.encoding;	// Maybe detected from a BOM
+				if (reachedEnd)
+				{
+					rowCount = row;
+					remote.estimatedRowCount = row;
+				}
+				return { rows: row - firstRow };
+			});
+		}
+	}
+
+
+	/** Keeps the last maxChunks chunks downloaded (promises of them), by their byte offset */
+	function ChunkCache(maxChunks)
+	{
+		var chunks = new Map();
+		this.fileSize = -1;
+		this.version = null;	// The ETag and Last-Modified of the file, to detect its changes
+
+		this.get = function(start)
+		{
+			var chunk = chunks.get(start);
+			if (chunk)
+			{
+				// Move it to the end: the least recently used chunk comes first
+				chunks.delete(start);
+				chunks.set(start, chunk);
+			}
+			return chunk;
+		};
+
+		this.set = function(start, chunk)
+		{
+			chunks.set(start, chunk);
+			if (chunks.size > maxChunks)
+				chunks.delete(chunks.keys().next().value);
+		};
+
+		this.delete = function(start, chunk)
+		{
+			if (chunks.get(start) === chunk)
+				chunks.delete(start);
+		};
 	}
 
 
@@ -98,14 +467,43 @@ License: MIT
 		this._handle = null;
 		this._finished = false;
 		this._completed = false;
+		this._settled = false;	// Whether the promise is settled
 		this._halted = false;
 		this._input = null;
 		this._baseIndex = 0;
 		this._partialLine = '';
 		this._nextChunk = null;
 		this._offset = 0; // The byte offset where parsing started
+		this._baseByte = 0; // The byte offset of this._partialLine in the input
+		this._bytesLoaded = 0; // The number of bytes read from the input after the offset, for progress
+		this._bytesTotal = undefined; // The size of the input in bytes, if known
+		this._promise = new Promise(bindFunction(function(resolve, reject) {
+			this._resolve = resolve;
+			this._reject = reject;
+		}, this));	// Settled when the complete or error callback is called
 		replaceConfig.call(this, config);
 
+		if (this._config.offset)
+			this._offset = parseInt(this._config.offset);
+		if (this._config.endOffset !== undefined)
+			this._config.endOffset = parseInt(this._config.endOffset);
+		this._config.encoding = normalizeEncoding(this._config.encoding);
+		// To resync, the character before the offset is read too: a line break there proves that the offset is a row start
+		if (this._config.resync && this._offset > 0)
+		{
+			var utf16 = this._config.encoding === 'utf-16le' || this._config.encoding === 'utf-16be';
+			this._offset = Math.max(0, this._offset - (utf16 ? 2 : 1));
+		}
+		this._baseByte = this._offset;
+		if (this._config.compression)
+		{
+			if (COMPRESSIONS.indexOf(this._config.compression) === -1)
+				throw new Error('Unsupported compression: ' + this._config.compression);
+			// The byte offsets are in the decompressed input, which can't be seeked into
+			if (this._offset || this._config.tail)
+				throw new Error('The offset and tail options are not supported on compressed sources');
+		}
+
 		this.parseChunk = function(chunk)
 		{
 			this._halted = false;
@@ -113,24 +511,38 @@ License: MIT
 			// Rejoin the line we likely just split in two by chunking the file
 			var aggregate = this._partialLine + chunk;
 			this._partialLine = '';
-			var results = this._handle.parse(aggregate, this._baseIndex, !this._finished);
+			var results = this._handle.parse(aggregate, this._baseIndex, !this._finished, this._baseByte);
 
 			if (this._handle.aborted()) {
 				this._halted = true;
 				return;
 			}
 
-			var lastIndex = results.meta.cursor;
+			var lastIndex = this._handle.getCharIndex();
+			var paused = this._handle.paused();	// The rest of the input is kept until resume()
 
-			if (!this._finished)
+			if (!this._finished || paused)
 			{
 				this._partialLine = aggregate.substring(lastIndex - this._baseIndex);
 				this._baseIndex = lastIndex;
+				this._baseByte = results.meta.firstByte + results.meta.numBytes;
+
+				if (paused)
+				{
+					this._halted = true;
+					return results;
+				}
+
+				// The parser stops after the row that straddles the end offset
+				if (this._baseByte >= this._config.endOffset)
+					this._finished = true;
 			}
 
+			this._sendProgress(results);
+
 			var finished = this._finished;
 
-			if (!this._completed && finished && isFunction(this._config.complete) && (!results || !results.meta.aborted)) {
+			if (!this._completed && finished && (!results || !results.meta.aborted)) {
 				this._config.complete();
 				this._completed = true;
 			}
@@ -141,12 +553,103 @@ License: MIT
 			return results;
 		};
 
+		this._sendProgress = function(results)
+		{
+			if (!isFunction(this._config.progress))
+				return;
+			// The bytes are counted from the offset, up to the end offset, or the end of the row that straddles it
+			var parsedBytes = results.meta.firstByte + results.meta.numBytes - this._offset;
+			var end = this._bytesTotal;
+			if (end !== undefined && this._config.endOffset < end)
+				end = this._config.endOffset;
+			var totalBytes = end === undefined ? undefined : Math.max(0, end - this._offset);
+			if (this._finished)
+				totalBytes = Math.max(totalBytes || 0, parsedBytes);
+			this._config.progress({
+				parsedBytes: parsedBytes,
+				loadedBytes: this._bytesLoaded,
+				totalBytes: totalBytes
+			});
+		};
+
 		this._sendError = function(error)
 		{
+			// The errors after the end, like the requests cancelled on abort, are not reported
+			if (this._settled)
+				return;
+			this._settle();
 			if (isFunction(this._config.error))
 				this._config.error(error);
+			this._reject(error);
+		};
+
+		this._settle = function()
+		{
+			this._settled = true;
+			if (signal)
+				signal.removeEventListener('abort', this._onAbortSignal);
+		};
+
+		// Releases the source of the input (pending requests, open files...) when parsing is aborted
+		this._release = function() {};
+
+		// Starts streaming the input. A signal aborted beforehand aborted the handle already, but
+		// the source is only released now that the streamer is set up.
+		this._start = function(input)
+		{
+			this.stream(input);
+			if (this._signalAborted)
+				this._release();
+		};
+
+		// Parses a chunk read by the streamer, or the input left when parsing was paused
+		this._parse = function(chunk)
+		{
+			return this.parseChunk(chunk);
+		};
+
+		/** The end of the chunk of bytes read from the given byte, or undefined to read the whole input */
+		this._chunkEnd = function(chunkStart)
+		{
+			if (!this._config.chunkSize)
+				return undefined;
+			var end = chunkStart + this._config.chunkSize;
+			// Don't read past the end offset, unless the last row straddles it.
+			// With compression, the end offset is in the decompressed bytes instead.
+			if (chunkStart < this._config.endOffset && !this._config.compression)
+				end = Math.min(end, this._config.endOffset);
+			return end;
+		};
+
+		/**
+		 * Decodes the next bytes of the input, read in chunks: the raw bytes are decoded here, so that
+		 * the BOM is kept and the characters split between two chunks are decoded correctly.
+		 */
+		this._decodeBytes = function(bytes)
+		{
+			if (!this._decoder)
+				this._decoder = new TextDecoder(this._config.encoding, { ignoreBOM: true });
+			return this._decoder.decode(bytes, { stream: !this._finished });
 		};
 
+		// The signal option stops parsing, and rejects with the abort reason
+		var signal = this._config.signal;
+		this._signalAborted = false;
+		this._onAbortSignal = bindFunction(function()
+		{
+			this._signalAborted = true;
+			if (!this._completed && !this._handle.aborted())
+				this._handle.abort();
+			this._release();
+		}, this);
+		if (signal)
+		{
+			if (signal.aborted)
+				this._onAbortSignal();
+			else
+				signal.addEventListener('abort', this._onAbortSignal);
+		}
+
 		function replaceConfig(config)
 		{
 			// Deep-copy the config so we can edit it
@@ -154,6 +657,26 @@ License: MIT
 			configCopy.chunkSize = parseInt(configCopy.chunkSize);	// parseInt VERY important so we don't concatenate strings!
 			if (!config.step)
 				configCopy.chunkSize = null;  // disable Range header if not streaming; bad values break IIS - see issue #196
+
+			// The handle calls complete too, when it is aborted
+			var userComplete = configCopy.complete;
+			configCopy.complete = bindFunction(function()
+			{
+				if (this._signalAborted)
+				{
+					this._sendError(signal.reason || new Error('Aborted'));
+					return;
+				}
+				if (this._settled)
+					return;
+				this._settle();
+				if (isFunction(userComplete))
+					userComplete();
+				this._resolve();
+			}, this);
+			// The errors sent to the error callback don't need to be handled on the promise too
+			if (isFunction(configCopy.error))
+				this._promise.catch(function() {});
 			this._handle = new ParserHandle(configCopy);
 			this._handle.streamer = this;
 			this._config = configCopy;	// persist the copy to the caller
@@ -161,147 +684,1303 @@ License: MIT
 	}
 
 
-	function NetworkStreamer(config)
+	function NetworkStreamer(config)
+	{
+		config = config || {};
+		if (!config.chunkSize)
+			config.chunkSize = Papa.RemoteChunkSize;
+		ChunkStreamer.call(this, config);
+
+		let start = this._offset;
+		// Without an encoding option, a UTF-16 BOM at the start of the file gives the encoding
+		var sniffEncoding = !config.encoding && !start;
+		this._version = null;	// The ETag and Last-Modified of the file, without a chunk cache
+		var body = null;	// The reader of the whole file, when the server ignores the Range headers
+		var bodyPosition = 0;	// The number of bytes read from body
+		var prefetchDepth = parseInt(this._config.prefetch) || 0;
+		var prefetched = [];	// The requests sent in advance for the next chunks, in file order
+		var remoteSize;		// The size of the file, once known
+		var decompressed = null;	// With the compression option, the reader of the decompressed file
+		var retries = [];	// The failed requests waiting to be retried: { timer, reject }
+		// The end offset of the downloads: with compression, it is in the decompressed bytes instead
+		var endOffset = this._config.compression ? undefined : this._config.endOffset;
+
+		this._nextChunk = function()
+		{
+			this._readChunk();
+		};
+
+		this.stream = function(url)
+		{
+			this._input = url;
+			if (this._config.tail)
+			{
+				this._readTail();
+				return;
+			}
+			if (start >= this._config.endOffset)
+			{
+				// Nothing to download
+				this._finished = true;
+				this.parseChunk('');
+				return;
+			}
+			if (this._config.compression)
+			{
+				var compressed = new ReadableStream({
+					pull: bindFunction(this._pullCompressed, this),
+					cancel: function()
+					{
+						if (body)
+							return body.cancel();
+					}
+				});
+				decompressed = decompress(compressed, this._config.compression).getReader();
+			}
+			this._nextChunk();	// Starts streaming
+		};
+
+		this._readChunk = function()
+		{
+			if (decompressed)
+			{
+				this._readDecompressed();
+				return;
+			}
+			this._loadChunk().then(bindFunction(function(chunk) {
+				this._chunkLoaded(chunk.bytes, chunk.fileSize);
+			}, this)).catch(bindFunction(this._chunkError, this));
+		};
+
+		/**
+		 * Resolves with the next bytes of the file from start, and the file size: downloaded with
+		 * a Range request, or read from the whole file if the server ignores the Range headers
+		 */
+		this._loadChunk = function()
+		{
+			if (body)
+				return this._readBody();
+
+			var end = this._chunkEnd(start);
+			var request;
+			if (prefetched.length && prefetched[0].start === start)
+				request = prefetched.shift().request;
+			else
+			{
+				prefetched = [];
+				request = this._requestChunk(start, end, true);
+			}
+			this._prefetch(end);
+
+			return request.then(bindFunction(function(chunk) {
+				if (chunk.body)
+				{
+					// The server ignored the Range header: the whole file is read, from its start
+					prefetched = [];
+					body = chunk.body;
+					return this._readBody();
+				}
+				remoteSize = chunk.fileSize;
+				this._prefetch(end);	// The next chunks are downloaded while this one is parsed
+				return chunk;
+			}, this));
+		};
+
+		this._requestChunk = function(chunkStart, end, streamBody)
+		{
+			return this._cache ? this._readCachedRange(chunkStart, end) : this._fetchRange(chunkStart, end, streamBody);
+		};
+
+		/**
+		 * Requests the chunks after the given byte in advance, up to the prefetch depth, so that they are
+		 * downloaded while the current one is parsed. The file size must be known, and the end offset is not passed.
+		 */
+		this._prefetch = function(next)
+		{
+			if (!prefetchDepth || remoteSize === undefined || remoteSize < 0 || next === undefined)
+				return;
+			if (prefetched.length)
+				next = prefetched[prefetched.length - 1].end;
+			while (prefetched.length < prefetchDepth && next < remoteSize && !(next >= endOffset))
+			{
+				var end = this._chunkEnd(next);
+				var request = this._requestChunk(next, end, false);
+				request.catch(function() {});	// The error is reported when the chunk is parsed
+				prefetched.push({ start: next, end: end, request: request });
+				next = end;
+			}
+		};
+
+		/** Resolves with the next bytes of the whole file sent by the server, skipping the ones before the offset */
+		this._readBody = function()
+		{
+			return body.read().then(bindFunction(function(result) {
+				if (result.done)
+					return { bytes: new Uint8Array(0), fileSize: start };
+				var bytes = result.value.subarray(Math.max(0, Math.min(result.value.length, start - bodyPosition)));
+				bodyPosition += result.value.length;
+				return bytes.length ? { bytes: bytes, fileSize: Infinity } : this._readBody();
+			}, this));
+		};
+
+		/** Pulls the next compressed bytes into the decompressor, for the compression option */
+		this._pullCompressed = function(controller)
+		{
+			return this._loadChunk().then(bindFunction(function(chunk) {
+				start += chunk.bytes.length;
+				if (chunk.bytes.length)
+					controller.enqueue(chunk.bytes);
+				if (!this._config.chunkSize || start >= chunk.fileSize)
+					controller.close();
+			}, this));
+		};
+
+		/** Parses the next decompressed bytes, whose count gives the progress: the decompressed size is unknown */
+		this._readDecompressed = function()
+		{
+			decompressed.read().then(bindFunction(function(result) {
+				if (result.done)
+				{
+					this._finished = true;
+					this._decodeChunk(new Uint8Array(0));
+					return;
+				}
+				this._bytesLoaded += result.value.length;
+				this._decodeChunk(result.value);
+			}, this)).catch(bindFunction(this._chunkError, this));
+		};
+
+		this._parse = function(chunk)
+		{
+			this.parseChunk(chunk);
+
+			// Stop reading the whole file once the end offset is reached, or the parse aborted
+			if (this._finished || this._handle.aborted())
+				this._release();
+		};
+
+		this._release = function()
+		{
+			if (decompressed)
+				decompressed.cancel().catch(function() {});
+			else if (body)
+				body.cancel().catch(function() {});
+			// The requests waiting to be retried are given up
+			retries.forEach(function(retry) {
+				clearTimeout(retry.timer);
+				retry.reject(new Error('Aborted'));
+			});
+			retries = [];
+		};
+
+		/**
+		 * Downloads the bytes from start (inclusive) to end (exclusive), or the whole file if end is undefined.
+		 * A failed request is retried for the same bytes, up to retryCount times, with an exponential backoff.
+		 * If the server ignores the Range header, the bytes are cut from the whole file, unless streamBody
+		 * is set: then it resolves with the reader of the whole file, as body.
+		 */
+		this._fetchRange = function(start, end, streamBody)
+		{
+			var retryCount = parseInt(this._config.retryCount) || 0;
+			var retryDelay = this._config.retryDelay === undefined ? Papa.RemoteRetryDelay : parseInt(this._config.retryDelay);
+			var signal = this._config.signal;
+
+			var stopped = bindFunction(function() {
+				return (signal && signal.aborted) || this._handle.aborted() || this._finished;
+			}, this);
+			var attempt = bindFunction(function(retried) {
+				return this._requestRange(start, end, streamBody).catch(bindFunction(function(error) {
+					if (retried >= retryCount || !this._isRetryable(error) || stopped())
+						throw error;
+					return new Promise(function(resolve, reject) {
+						var retry = { reject: reject };
+						retry.timer = setTimeout(function() {
+							retries.splice(retries.indexOf(retry), 1);
+							resolve();
+						}, retryDelay * Math.pow(2, retried));
+						retries.push(retry);
+					}).then(function() {
+						if (stopped())
+							throw error;
+						return attempt(retried + 1);
+					});
+				}, this));
+			}, this);
+			return attempt(0);
+		};
+
+		/** Whether a failed request can be retried: network errors, and some HTTP statuses */
+		this._isRetryable = function(error)
+		{
+			if (error.status === undefined)
+				return error instanceof TypeError;	// fetch fails with a TypeError on network errors
+			var statusCodes = this._config.retryStatusCodes || Papa.RemoteRetryStatusCodes;
+			return statusCodes.indexOf(error.status) !== -1;
+		};
+
+		/** Sends one request for the bytes from start to end */
+		this._requestRange = function(start, end, streamBody)
+		{
+			var headers = {};
+			if (this._config.downloadRequestHeaders)
+			{
+				for (var headerName in this._config.downloadRequestHeaders)
+					headers[headerName] = this._config.downloadRequestHeaders[headerName];
+			}
+
+			if (start < 0)
+				headers.Range = 'bytes=' + start;	// suffix range: the last -start bytes
+			else if (end !== undefined)
+				headers.Range = 'bytes=' + start + '-' + (end - 1);	// minus one because byte range is inclusive
+
+			// The following requests must get the same version of the file as the first one
+			var version = this._getVersion();
+			if (version && version.etag && version.etag.indexOf('W/') !== 0)
+				headers['If-Match'] = version.etag;	// weak ETags never match
+			else if (version && version.lastModified && headers.Range)
+				headers['If-Range'] = version.lastModified;
+
+			var transport = this._config.transport || FetchTransport;
+			var request = {
+				start: start,
+				end: end,
+				headers: headers,
+				body: this._config.downloadRequestBody,
+				withCredentials: this._config.withCredentials,
+				signal: this._config.signal	// cancels the request when parsing is aborted
+			};
+			return new Promise(bindFunction(function(resolve) {
+				resolve(transport(this._input, request));
+			}, this)).then(bindFunction(function(response) {
+				this._checkVersion(response);
+				if (headers.Range && response.partial === false)
+					return this._rangeIgnored(response, start, end, streamBody);
+				return readBytes(response.bytes).then(function(bytes) {
+					var fileSize = response.size;
+					// Unknown size: the end of the file is reached when fewer bytes than requested are sent
+					if (!(fileSize >= 0))
+						fileSize = start >= 0 && end !== undefined && bytes.length >= end - start ? Infinity : Math.max(0, start) + bytes.length;
+					return { bytes: bytes, fileSize: fileSize };
+				});
+			}, this), function(error) {
+				if (error && error.status === 412)
+					throw resourceChanged();
+				throw error;
+			});
+		};
+
+		/** The server sent the whole file instead of the requested bytes: fails with the requireRanges option */
+		this._rangeIgnored = function(response, start, end, streamBody)
+		{
+			if (this._config.requireRanges)
+			{
+				if (isReadableStream(response.bytes))
+					response.bytes.cancel().catch(function() {});
+				var error = new Error('The server does not support Range requests');
+				error.code = 'RangeNotSupported';
+				throw error;
+			}
+			if (streamBody)
+				return { body: toReadableStream(response.bytes).getReader() };
+			return readBytes(response.bytes).then(function(bytes) {
+				if (start < 0)
+					start = Math.max(0, bytes.length + start);	// suffix range
+				return { bytes: bytes.subarray(start, end), fileSize: bytes.length };
+			});
+		};
+
+		/**
+		 * Records the ETag and Last-Modified of the first response, and checks that
+		 * the following responses have the same ones.
+		 */
+		this._checkVersion = function(response)
+		{
+			var version = {
+				etag: response.etag || null,
+				lastModified: response.lastModified || null
+			};
+			var known = this._getVersion();
+			if (!known)
+			{
+				if (version.etag || version.lastModified)
+					this._setVersion(version);
+				return;
+			}
+			if ((known.etag && version.etag && known.etag !== version.etag)
+				|| (known.lastModified && version.lastModified && known.lastModified !== version.lastModified))
+				throw resourceChanged();
+		};
+
+		// The version of the file is shared with the other parses of a remote handle, with the chunks
+		this._getVersion = function()
+		{
+			return this._cache ? this._cache.version : this._version;
+		};
+
+		this._setVersion = function(version)
+		{
+			if (this._cache)
+				this._cache.version = version;
+			else
+				this._version = version;
+		};
+
+		/**
+		 * Reads the bytes from start to end (at most) in the chunk cache. The cached chunks are aligned
+		 * on chunkSize, so that successive parses from different offsets can share them.
+		 */
+		this._readCachedRange = function(start, end)
+		{
+			var cache = this._cache;
+			var chunkStart = start - start % this._config.chunkSize;
+			var chunk = cache.get(chunkStart);
+			if (!chunk)
+			{
+				chunk = this._fetchRange(chunkStart, chunkStart + this._config.chunkSize);
+				cache.set(chunkStart, chunk);
+				chunk.then(function(result) {
+					cache.fileSize = result.fileSize;
+				}, function() {
+					cache.delete(chunkStart, chunk);
+				});
+			}
+			return chunk.then(function(result) {
+				return {
+					bytes: result.bytes.subarray(start - chunkStart, end - chunkStart),
+					fileSize: result.fileSize
+				};
+			});
+		};
+
+		/**
+		 * Tail mode: downloads the file backwards from its end, until the last `tail` rows have been found
+		 * after a row boundary, then parses them from their first byte.
+		 */
+		this._readTail = function()
+		{
+			var rowCount = parseInt(this._config.tail);
+			var chunkSize = this._config.chunkSize;
+			var bytes = new Uint8Array(0);
+			var tailStart;	// The byte offset of bytes in the file
+
+			var readBefore = bindFunction(function(rows) {
+				// The row boundary is certain at the start of the file
+				if (tailStart === 0 || rows.length >= rowCount)
+					return rows;
+				return this._fetchRange(Math.max(0, tailStart - chunkSize), tailStart).then(bindFunction(function(chunk) {
+					tailStart -= chunk.bytes.length;
+					bytes = concatBytes(chunk.bytes, bytes);
+					return readBefore(this._findRows(bytes, tailStart));
+				}, this));
+			}, this);
+
+			this._readFields().then(bindFunction(function() {
+				if (this._config.header && !this._config.fields)
+					return [];	// No data rows after the header
+				return this._fetchRange(-chunkSize).then(bindFunction(function(chunk) {
+					bytes = chunk.bytes;
+					tailStart = chunk.fileSize - bytes.length;
+					return readBefore(this._findRows(bytes, tailStart));
+				}, this));
+			}, this)).then(bindFunction(function(rows) {
+				this._finished = true;
+				if (!rows.length)
+				{
+					this.parseChunk('');
+					return;
+				}
+				var firstByte = rows[Math.max(0, rows.length - rowCount)];
+				this._offset = firstByte;	// The progress is counted from there
+				this._baseByte = firstByte;
+				this._bytesLoaded = bytes.length;
+				this._bytesTotal = tailStart + bytes.length;
+				// Nor is that empty row parsed: parsing stops at the end of the file
+				if (!(this._config.endOffset < this._bytesTotal))
+					this._config.endOffset = this._bytesTotal;
+				this.parseChunk(this._decodeBytes(bytes.subarray(firstByte - tailStart)));
+			}, this)).catch(bindFunction(this._chunkError, this));
+		};
+
+		/**
+		 * Returns the byte offsets of the rows found in the given bytes, which may start in the middle
+		 * of a row. Keeps the dialect detected on the way, for the rows to be parsed later.
+		 */
+		this._findRows = function(bytes, firstByte)
+		{
+			// Skip the end of a character split by the range
+			var encoding = this._config.encoding;
+			var skipped = 0;
+			if (encoding === 'utf-8')
+			{
+				while (skipped < bytes.length && bytes[skipped] >= 0x80 && bytes[skipped] < 0xc0)
+					skipped++;	// continuation bytes
+			}
+			else if ((encoding === 'utf-16le' || encoding === 'utf-16be') && firstByte % 2)
+				skipped = 1;
+
+			var rows = [];
+			var config = copy(this._config);
+			config.offset = firstByte + skipped;
+			config.resync = true;
+			delete config.preview;
+			delete config.complete;
+			config.step = function(results)
+			{
+				rows.push(results.meta.firstByte);
+			};
+			var text = new TextDecoder(encoding, { ignoreBOM: true }).decode(bytes.subarray(skipped));
+			new ParserHandle(config).parse(text, 0, false, firstByte + skipped);
+
+			this._config.delimiter = config.delimiter;
+			this._config.newline = config.newline;
+			if (this._config.header && firstByte + skipped === 0)
+				rows.shift();	// The header row
+			if (rows[rows.length - 1] === firstByte + bytes.length)
+				rows.pop();	// The empty row after a line break at the end of the file
+			return rows;
+		};
+
+		/** With `header: true`, reads the header fields at the start of the file, unless they are given */
+		this._readFields = function()
+		{
+			if (!this._config.header || this._config.fields)
+				return Promise.resolve();
+
+			var headerConfig = copy(config);
+			['tail', 'offset', 'endOffset', 'resync', 'preview', 'complete', 'error', 'progress'].forEach(function(key) {
+				delete headerConfig[key];
+			});
+			headerConfig.step = function(results, handle)
+			{
+				headerConfig.fields = results.meta.fields;
+				handle.abort();
+			};
+			var streamer = new NetworkStreamer(headerConfig);
+			streamer._cache = this._cache;
+			streamer._start(this._input);
+			return streamer._promise.then(bindFunction(function() {
+				this._config.fields = headerConfig.fields;
+			}, this));
+		};
+
+		this._chunkLoaded = function(bytes, fileSize)
+		{
+			this._bytesLoaded += bytes.length;
+			if (isFinite(fileSize) && fileSize >= 0)
+				this._bytesTotal = fileSize;
+
+			if (this._config.chunkSize) {
+				start += bytes.length;
+				this._finished = start >= fileSize;
+			} else {
+				// if no chunkSize, no need to increment start, we are done after this
+				this._finished = true;
+			}
+			this._decodeChunk(bytes);
+		};
+
+		this._decodeChunk = function(bytes)
+		{
+			if (sniffEncoding)
+			{
+				sniffEncoding = false;
+				var bomEncoding = detectUtf16Bom(bytes);
+				if (bomEncoding)
+					this._config.encoding = bomEncoding;	// Shared with the handle for the byte offsets, and with the decoder
+			}
+			this._parse(this._decodeBytes(bytes));
+		};
+
+		this._chunkError = function(error)
+		{
+			this._sendError(error instanceof Error ? error : new Error(error));
+		};
+
+		function resourceChanged()
+		{
+			var error = new Error('The remote file has changed since it was first requested');
+			error.code = 'ResourceChanged';
+			return error;
+		}
+	}
+	NetworkStreamer.prototype = Object.create(ChunkStreamer.prototype);
+	NetworkStreamer.prototype.constructor = NetworkStreamer;
+
+
+	/**
+	 * The default transport of the remote files (see the transport option): requests the bytes from start
+	 * to end (exclusive) with fetch. Resolves with the bytes, the size of the file from Content-Range,
+	 * and its version from the ETag and Last-Modified headers. When the server ignores the Range header,
+	 * the whole file is given as a ReadableStream, as only its start may be needed.
+	 * Rejects with the HTTP status of the failed requests, as status.
+	 */
+	function FetchTransport(url, request)
+	{
+		return fetch(url, {
+			method: request.body ? 'POST' : 'GET',
+			headers: request.headers,
+			body: request.body,
+			credentials: request.withCredentials ? 'include' : 'same-origin',
+			signal: request.signal
+		}).then(function(response) {
+			if (response.status < 200 || response.status >= 400)
+			{
+				var error = new Error(response.statusText || 'HTTP error ' + response.status);
+				error.status = response.status;
+				throw error;
+			}
+			var result = {
+				size: getFileSize(response),
+				partial: response.status === 206,
+				etag: response.headers.get('ETag'),
+				lastModified: response.headers.get('Last-Modified')
+			};
+			if (!result.partial && response.body)
+			{
+				result.bytes = response.body;
+				return result;
+			}
+			return response.arrayBuffer().then(function(buffer) {
+				result.bytes = new Uint8Array(buffer);
+				return result;
+			});
+		});
+
+		function getFileSize(response)
+		{
+			var contentRange = response.headers.get('Content-Range');
+			if (contentRange === null) { // no content range, then finish!
+				return -1;
+			}
+			return parseInt(contentRange.substring(contentRange.lastIndexOf('/') + 1));
+		}
+	}
+
+
+	/**
+	 * Decodes the chunks of a stream of bytes in a normalized encoding, after discarding the bytes before the offset:
+	 * a stream can't seek. The BOM is kept, and the characters split between two chunks are decoded correctly.
+	 * Chunks that are strings already are passed through.
+	 */
+	function StreamDecoder(offset, encoding)
+	{
+		var skip = offset;
+		var decoder = new TextDecoder(encoding, { ignoreBOM: true });
+		this.bytesDecoded = 0;	// The number of bytes after the offset, for progress
+
+		this.decode = function(chunk)
+		{
+			if (typeof chunk === 'string')
+			{
+				if (skip)
+				{
+					// The offset is in bytes: skip the characters before it
+					var index = charIndex(chunk, skip, encoding);
+					skip -= Math.min(skip, byteLength(chunk.substring(0, index), encoding));
+					chunk = chunk.substring(index);
+				}
+				this.bytesDecoded += byteLength(chunk, encoding);
+				return chunk;
+			}
+			if (skip)
+			{
+				var skipped = Math.min(skip, chunk.length);
+				chunk = chunk.subarray(skipped);
+				skip -= skipped;
+			}
+			this.bytesDecoded += chunk.length;
+			return decoder.decode(chunk, { stream: true });
+		};
+
+		this.end = function()
+		{
+			return decoder.decode();
+		};
+	}
+
+
+	/** Parses a Blob or a File, read in slices of chunkSize bytes */
+	function FileStreamer(config)
+	{
+		config = config || {};
+		if (!config.chunkSize)
+			config.chunkSize = Papa.LocalChunkSize;
+		ChunkStreamer.call(this, config);
+
+		var start = this._offset;
+
+		this._nextChunk = function()
+		{
+			this._readChunk();
+		};
+
+		this.stream = function(file)
+		{
+			this._input = file;
+			this._bytesTotal = file.size;
+			if (start >= this._config.endOffset)
+			{
+				// Nothing to read
+				this._finished = true;
+				this.parseChunk('');
+				return;
+			}
+			this._nextChunk();	// Starts streaming
+		};
+
+		this._readChunk = function()
+		{
+			this._input.slice(start, this._chunkEnd(start)).arrayBuffer().then(bindFunction(function(buffer) {
+				this._chunkLoaded(new Uint8Array(buffer));
+			}, this)).catch(bindFunction(this._chunkError, this));
+		};
+
+		this._chunkLoaded = function(bytes)
+		{
+			start += bytes.length;
+			this._bytesLoaded += bytes.length;
+			this._finished = start >= this._input.size;
+			this.parseChunk(this._decodeBytes(bytes));
+		};
+
+		this._chunkError = function(error)
+		{
+			this._sendError(error instanceof Error ? error : new Error(error));
+		};
+	}
+	FileStreamer.prototype = Object.create(ChunkStreamer.prototype);
+	FileStreamer.prototype.constructor = FileStreamer;
+
+
+	/**
+	 * Parses a file in Node.js, given its path or a file descriptor (`file: true` option).
+	 * The chunks are read at explicit positions, so that parsing can start at the offset and
+	 * stop at the end offset without reading the rest of the file.
+	 */
+	function NodeFileStreamer(config)
+	{
+		config = config || {};
+		if (!config.chunkSize)
+			config.chunkSize = Papa.LocalChunkSize;
+		ChunkStreamer.call(this, config);
+
+		var fs = require('fs');
+		var fd;
+		var ownsFd = false;	// Whether the file was opened here, and must be closed here
+		var reading = false;	// Whether a read is pending
+		var fileSize;
+		var start = this._offset;
+
+		this._nextChunk = function()
+		{
+			this._readChunk();
+		};
+
+		this.stream = function(input)
+		{
+			this._input = input;
+			if (typeof input === 'number')
+				this._fileOpened(null, input);
+			else
+			{
+				ownsFd = true;
+				fs.open(input, 'r', bindFunction(this._fileOpened, this));
+			}
+		};
+
+		this._fileOpened = function(error, openedFd)
+		{
+			if (error)
+				return this._chunkError(error);
+			fd = openedFd;
+			fs.fstat(fd, bindFunction(function(error, stats) {
+				if (error)
+					return this._chunkError(error);
+				fileSize = stats.size;
+				this._bytesTotal = fileSize;
+				if (start >= this._config.endOffset)
+				{
+					// Nothing to read
+					this._finished = true;
+					this._parse('');
+					return;
+				}
+				this._nextChunk();	// Starts streaming
+			}, this));
+		};
+
+		this._readChunk = function()
+		{
+			var end = Math.min(this._chunkEnd(start), fileSize);
+
+			var buffer = Buffer.alloc(Math.max(0, end - start));
+			reading = true;
+			fs.read(fd, buffer, 0, buffer.length, start, bindFunction(function(error, bytesRead) {
+				reading = false;
+				if (error)
+					return this._chunkError(error);
+				this._chunkLoaded(buffer.subarray(0, bytesRead));
+			}, this));
+		};
+
+		this._release = function()
+		{
+			// A pending read closes the file once it is done, as the parse is aborted
+			if (!reading)
+				closeFile();
+		};
+
+		this._chunkLoaded = function(bytes)
+		{
+			start += bytes.length;
+			this._bytesLoaded += bytes.length;
+			this._finished = !bytes.length || start >= fileSize;
+			this._parse(this._decodeBytes(bytes));
+		};
+
+		this._parse = function(chunk)
+		{
+			try
+			{
+				this.parseChunk(chunk);
+			}
+			catch (error)
+			{
+				return this._chunkError(error);
+			}
+			if (this._finished || this._handle.aborted())
+				closeFile();
+		};
+
+		this._chunkError = function(error)
+		{
+			closeFile();
+			this._sendError(error instanceof Error ? error : new Error(error));
+		};
+
+		function closeFile()
+		{
+			if (ownsFd && fd !== undefined)
+				fs.close(fd, function() {});
+			fd = undefined;
+		}
+	}
+	if (typeof PAPA_BROWSER_CONTEXT === 'undefined')
+	{
+		NodeFileStreamer.prototype = Object.create(ChunkStreamer.prototype);
+		NodeFileStreamer.prototype.constructor = NodeFileStreamer;
+	}
+
+
+	function concatBytes(a, b)
+	{
+		var bytes = new Uint8Array(a.length + b.length);
+		bytes.set(a);
+		bytes.set(b, a.length);
+		return bytes;
+	}
+
+	/** Returns the Uint8Array of an ArrayBuffer, or of a view of one like a Node.js Buffer */
+	function toBytes(buffer)
+	{
+		return ArrayBuffer.isView(buffer)
+			? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+			: new Uint8Array(buffer);
+	}
+
+	/** Resolves with the bytes of an ArrayBuffer, a view of one, or a ReadableStream of bytes */
+	function readBytes(input)
+	{
+		if (!isReadableStream(input))
+			return Promise.resolve(toBytes(input || new ArrayBuffer(0)));
+
+		var reader = input.getReader();
+		var chunks = [];
+		var length = 0;
+		function read()
+		{
+			return reader.read().then(function(result) {
+				if (!result.done)
+				{
+					chunks.push(result.value);
+					length += result.value.length;
+					return read();
+				}
+				var bytes = new Uint8Array(length);
+				var position = 0;
+				chunks.forEach(function(chunk) {
+					bytes.set(chunk, position);
+					position += chunk.length;
+				});
+				return bytes;
+			});
+		}
+		return read();
+	}
+
+	/**
+	 * Returns a ReadableStream of the bytes of an input: the given one, an ArrayBuffer or a view of one,
+	 * a Blob, a Node.js Readable stream, or a file given by its path or descriptor in Node.js
+	 */
+	function toReadableStream(input)
+	{
+		if (isReadableStream(input))
+			return input;
+		if (isBlob(input))
+			return input.stream();
+		var Readable = typeof PAPA_BROWSER_CONTEXT === 'undefined' ? require('stream').Readable : null;
+		if (isNodeStream(input))
+			return Readable.toWeb(input);
+		if (typeof input === 'string')
+			return Readable.toWeb(require('fs').createReadStream(input));
+		if (typeof input === 'number')	// The file descriptor is left open for its owner
+			return Readable.toWeb(require('fs').createReadStream(null, { fd: input, start: 0, autoClose: false }));
+		var bytes = toBytes(input || new ArrayBuffer(0));
+		return new ReadableStream({
+			start: function(controller)
+			{
+				controller.enqueue(bytes);
+				controller.close();
+			}
+		});
+	}
+
+	/**
+	 * Returns a ReadableStream of the decompressed bytes of a stream, for the compression option.
+	 * With 'auto', the format is detected from the first bytes, and an uncompressed stream is kept as is.
+	 */
+	function decompress(stream, compression)
+	{
+		if (compression !== 'auto')
+			return stream.pipeThrough(createDecompressor(compression));
+
+		var reader = stream.getReader();
+		var output = null;	// The reader of the stream from its first bytes, decompressed if needed
+		var head = new Uint8Array(0);
+
+		function readHead()
+		{
+			return reader.read().then(function(result) {
+				if (!result.done)
+				{
+					head = concatBytes(head, result.value);
+					if (head.length < 2)
+						return readHead();
+				}
+				var rest = new ReadableStream({
+					start: function(controller)
+					{
+						if (head.length)
+							controller.enqueue(head);
+						if (result.done)
+							controller.close();
+					},
+					pull: function(controller)
+					{
+						return reader.read().then(function(next) {
+							if (next.done)
+								controller.close();
+							else
+								controller.enqueue(next.value);
+						});
+					},
+					cancel: function(reason)
+					{
+						return reader.cancel(reason);
+					}
+				});
+				var format = detectCompression(head);
+				output = (format ? rest.pipeThrough(createDecompressor(format)) : rest).getReader();
+			});
+		}
+
+		return new ReadableStream({
+			pull: function(controller)
+			{
+				return (output ? Promise.resolve() : readHead()).then(function() {
+					return output.read();
+				}).then(function(result) {
+					if (result.done)
+						controller.close();
+					else
+						controller.enqueue(result.value);
+				});
+			},
+			cancel: function(reason)
+			{
+				return output ? output.cancel(reason) : reader.cancel(reason);
+			}
+		});
+	}
+
+	/** Returns a transform stream decompressing gzip or deflate bytes: a DecompressionStream, else zlib in Node.js */
+	function createDecompressor(format)
+	{
+		/* globals DecompressionStream */
+		if (typeof DecompressionStream === 'function')
+			return new DecompressionStream(format);
+		var zlib = require('zlib');
+		return require('stream').Duplex.toWeb(format === 'gzip' ? zlib.createGunzip() : zlib.createInflate());
+	}
+
+
+	function StringStreamer(config)
+	{
+		config = config || {};
+		ChunkStreamer.call(this, config);
+
+		var remaining;
+		var countBytes = isFunction(this._config.progress);	// The byte lengths are only needed for progress
+		this.stream = function(s)
+		{
+			remaining = s;
+			if (countBytes)
+				this._bytesTotal = byteLength(s, this._config.encoding);
+			if (this._offset)
+			{
+				// The offset is in bytes: skip the characters before it
+				var index = charIndex(s, this._offset, this._config.encoding);
+				remaining = s.substring(index);
+				this._baseByte = byteLength(s.substring(0, index), this._config.encoding);
+			}
+			return this._nextChunk();
+		};
+		this._nextChunk = function()
+		{
+			if (this._finished) return;
+			var size = this._config.chunkSize;
+			var chunk;
+			if(size) {
+				chunk = remaining.substring(0, size);
+				remaining = remaining.substring(size);
+			} else {
+				chunk = remaining;
+				remaining = '';
+			}
+			if (countBytes)
+				this._bytesLoaded += byteLength(chunk, this._config.encoding);
+			this._finished = !remaining;
+			return this.parseChunk(chunk);
+		};
+	}
+	StringStreamer.prototype = Object.create(StringStreamer.prototype);
+	StringStreamer.prototype.constructor = StringStreamer;
+
+
+	/** Parses a WHATWG ReadableStream of bytes, like Response.body or Blob.stream() */
+	function ReadableStreamStreamer(config)
+	{
+		config = config || {};
+		ChunkStreamer.call(this, config);
+
+		var reader;
+		var decoder = new StreamDecoder(this._offset, this._config.encoding);
+
+		this.stream = function(stream)
+		{
+			this._input = stream;
+			if (this._config.compression)
+				stream = decompress(toReadableStream(stream), this._config.compression);
+			reader = stream.getReader();
+			if (this._offset >= this._config.endOffset)
+			{
+				// Nothing to read
+				this._finished = true;
+				this.parseChunk('');
+				release();
+				return;
+			}
+			this._nextChunk();	// Starts streaming
+		};
+
+		this._nextChunk = function()
+		{
+			reader.read().then(bindFunction(this._chunkLoaded, this)).catch(bindFunction(this._streamError, this));
+		};
+
+		this._chunkLoaded = function(result)
+		{
+			if (result.done)
+			{
+				this._finished = true;
+				this.parseChunk(decoder.end());
+				return;
+			}
+
+			var text = decoder.decode(result.value);
+			this._bytesLoaded = decoder.bytesDecoded;
+			this._parse(text);
+		};
+
+		this._parse = function(chunk)
+		{
+			this.parseChunk(chunk);
+
+			// Release the source once the end offset is reached, or the parse aborted
+			if (this._finished || this._handle.aborted())
+				release();
+		};
+
+		this._streamError = function(error)
+		{
+			release();
+			this._sendError(error instanceof Error ? error : new Error(error));
+		};
+
+		this._release = function()
+		{
+			if (reader)
+				release();
+		};
+
+		function release()
+		{
+			// Rejected if the stream itself has failed, which is reported already
+			reader.cancel().catch(function() {});
+		}
+	}
+	ReadableStreamStreamer.prototype = Object.create(ChunkStreamer.prototype);
+	ReadableStreamStreamer.prototype.constructor = ReadableStreamStreamer;
+
+
+	/**
+	 * Parses a Node.js Readable stream of bytes (decoded as UTF-8) or of strings.
+	 * The stream is paused while a chunk is waiting to be parsed.
+	 */
+	function NodeStreamStreamer(config)
 	{
 		config = config || {};
-		if (!config.chunkSize)
-			config.chunkSize = Papa.RemoteChunkSize;
 		ChunkStreamer.call(this, config);
 
-		var xhr;
-		if (config.offset)
-			this._offset = parseInt(config.offset);
-		let start = this._offset;
+		var queue = [];
+		var parseOnData = true;	// Whether the next chunk can be parsed as soon as it arrives
+		var streamHasEnded = false;
+		var decoder = new StreamDecoder(this._offset, this._config.encoding);
 
-		this._nextChunk = function()
+		this.stream = function(stream)
 		{
-			this._readChunk();
+			this._input = stream;
+			this._input.on('data', this._streamData);
+			this._input.on('end', this._streamEnd);
+			this._input.on('error', this._streamError);
 		};
 
-		this.stream = function(url)
+		this._nextChunk = function()
 		{
-			this._input = stripBom(url);
-			this._nextChunk();	// Starts streaming
+			if (queue.length)
+				this._parseQueued();
+			else
+			{
+				parseOnData = true;
+				this._input.resume();
+			}
 		};
 
-		this._readChunk = function()
+		this._parseQueued = function()
 		{
-			if (this._finished)
-			{
-				this._chunkLoaded();
-				return;
-			}
+			var chunk = queue.shift();
+			if (streamHasEnded && !queue.length)
+				this._finished = true;
+			this._parse(chunk);
+		};
 
-			xhr = new XMLHttpRequest();
+		this._parse = function(chunk)
+		{
+			this.parseChunk(chunk);
 
-			if (this._config.withCredentials)
+			// Release the source once the end offset is reached, or the parse aborted
+			if (!streamHasEnded && (this._finished || this._handle.aborted()))
 			{
-				xhr.withCredentials = this._config.withCredentials;
+				this._streamCleanUp();
+				this._input.destroy();
 			}
+		};
 
-			xhr.onload = bindFunction(this._chunkLoaded, this);
-			xhr.onerror = bindFunction(this._chunkError, this);
-
-			/**
-			 * Note(SL): Synchronous XHR (async=false) is deprecated.
-			 * Refactor the library with promises/async-await/fetch API in the future.
-			 * In upstream PapaParse, async XHR is used in workers only (and we removed workers).
-			 */
-			xhr.open(this._config.downloadRequestBody ? 'POST' : 'GET', this._input, false);
-			// Headers can only be set when once the request state is OPENED
-			if (this._config.downloadRequestHeaders)
+		this._streamData = bindFunction(function(chunk)
+		{
+			try
 			{
-				var headers = this._config.downloadRequestHeaders;
+				queue.push(decoder.decode(chunk));
+				this._bytesLoaded = decoder.bytesDecoded;
 
-				for (var headerName in headers)
+				if (parseOnData)
 				{
-					xhr.setRequestHeader(headerName, headers[headerName]);
+					parseOnData = false;
+					this._parseQueued();
 				}
+				else
+					this._input.pause();	// Wait for the queued chunks to be parsed
+			}
+			catch (error)
+			{
+				this._streamError(error);
 			}
+		}, this);
+
+		this._streamError = bindFunction(function(error)
+		{
+			this._streamCleanUp();
+			this._sendError(error);
+		}, this);
+
+		this._streamEnd = bindFunction(function()
+		{
+			this._streamCleanUp();
+			streamHasEnded = true;
+			this._streamData(decoder.end());
+		}, this);
 
-			if (this._config.chunkSize)
+		this._release = function()
+		{
+			if (this._input && !streamHasEnded)
 			{
-				var end = start + this._config.chunkSize - 1;	// minus one because byte range is inclusive
-				xhr.setRequestHeader('Range', 'bytes=' + start + '-' + end);
+				this._streamCleanUp();
+				this._input.destroy();
 			}
+		};
+
+		this._streamCleanUp = bindFunction(function()
+		{
+			this._input.removeListener('data', this._streamData);
+			this._input.removeListener('end', this._streamEnd);
+			this._input.removeListener('error', this._streamError);
+		}, this);
+	}
+	NodeStreamStreamer.prototype = Object.create(ChunkStreamer.prototype);
+	NodeStreamStreamer.prototype.constructor = NodeStreamStreamer;
+
+
+	/**
+	 * A Node.js Duplex stream: the CSV text (or bytes) written to it is parsed,
+	 * and the rows can be read from it, as objects.
+	 */
+	function DuplexStreamStreamer(_config)
+	{
+		var Duplex = require('stream').Duplex;
+		var config = copy(_config);
+		var stream = null;
+		var readableIsFull = false;
+		var pendingWrite = null;	// The callback of the last write, held until the rows are read
+		var decoder;
+
+		config.step = function(results)
+		{
+			if (!stream.push(results.data))
+				readableIsFull = true;
+		};
+		config.complete = function()
+		{
+			stream.push(null);
+		};
+		ChunkStreamer.call(this, config);
+		decoder = new StreamDecoder(this._offset, this._config.encoding);
+		this._promise.catch(function() {});	// The errors are emitted by the stream
+
+		// The chunks are parsed as they are written
+		this._nextChunk = function() {};
 
-			try {
-				xhr.send(this._config.downloadRequestBody);
+		this._onWrite = function(chunk, encoding, callback)
+		{
+			try
+			{
+				var text = decoder.decode(chunk);
+				this._bytesLoaded = decoder.bytesDecoded;
+				this.parseChunk(text);
 			}
-			catch (err) {
-				this._chunkError(err.message);
+			catch (error)
+			{
+				return callback(error);
 			}
+
+			if (readableIsFull)
+				pendingWrite = callback;
+			else
+				return callback();
 		};
 
-		this._chunkLoaded = function()
+		this._onRead = function()
 		{
-			if (xhr.readyState !== 4)
-				return;
-
-			if (xhr.status < 200 || xhr.status >= 400)
+			readableIsFull = false;
+			if (pendingWrite)
 			{
-				this._chunkError();
-				return;
+				var resumeWriting = pendingWrite;
+				pendingWrite = null;
+				resumeWriting();
 			}
+		};
 
-			if (this._config.chunkSize) {
-				start += this._config.chunkSize;
-				this._finished = start >= getFileSize(xhr);
-			} else {
-				// if no chunkSize, no need to increment start, we are done after this
-				this._finished = true;
+		this._onFinal = function(callback)
+		{
+			this._finished = true;
+			try
+			{
+				this.parseChunk(decoder.end());
+			}
+			catch (error)
+			{
+				return callback(error);
 			}
-			this.parseChunk(xhr.responseText);
+			return callback();
 		};
 
-		this._chunkError = function(errorMessage)
+		this._release = function()
 		{
-			var errorText = xhr.statusText || errorMessage;
-			this._sendError(new Error(errorText));
+			stream.destroy(this._config.signal.reason);
 		};
 
-		function getFileSize(xhr)
+		this.getStream = function()
 		{
-			var contentRange = xhr.getResponseHeader('Content-Range');
-			if (contentRange === null) { // no content range, then finish!
-				return -1;
-			}
-			return parseInt(contentRange.substring(contentRange.lastIndexOf('/') + 1));
-		}
+			return stream;
+		};
+
+		stream = new Duplex({
+			readableObjectMode: true,
+			decodeStrings: false,
+			read: bindFunction(this._onRead, this),
+			write: bindFunction(this._onWrite, this),
+			final: bindFunction(this._onFinal, this)
+		});
+		if (this._signalAborted)
+			this._release();	// The signal was aborted before the stream was created
+	}
+	if (typeof PAPA_BROWSER_CONTEXT === 'undefined')
+	{
+		DuplexStreamStreamer.prototype = Object.create(ChunkStreamer.prototype);
+		DuplexStreamStreamer.prototype.constructor = DuplexStreamStreamer;
 	}
-	NetworkStreamer.prototype = Object.create(ChunkStreamer.prototype);
-	NetworkStreamer.prototype.constructor = NetworkStreamer;
 
 
-	function StringStreamer(config)
+	/** Parses an ArrayBuffer, or a view of one like Uint8Array, decoded with the encoding option */
+	function BufferStreamer(config)
 	{
 		config = config || {};
 		ChunkStreamer.call(this, config);
 
-		var remaining;
-		this.stream = function(s)
+		var bytes;
+		var start = this._offset;
+		this._byteCursor = true;	// The cursor of the results is a position in the buffer, like firstByte
+
+		this.stream = function(buffer)
 		{
-			remaining = stripBom(s);
+			this._input = buffer;
+			bytes = toBytes(buffer);
+			this._bytesTotal = bytes.length;
 			return this._nextChunk();
 		};
+
 		this._nextChunk = function()
 		{
 			if (this._finished) return;
-			var size = this._config.chunkSize;
-			var chunk;
-			if(size) {
-				chunk = remaining.substring(0, size);
-				remaining = remaining.substring(size);
-			} else {
-				chunk = remaining;
-				remaining = '';
-			}
-			this._finished = !remaining;
-			return this.parseChunk(chunk);
+			var end = this._config.chunkSize ? start + this._config.chunkSize : bytes.length;
+			var chunk = bytes.subarray(start, end);
+			start = Math.min(end, bytes.length);
+			this._bytesLoaded += chunk.length;
+			this._finished = start >= bytes.length;
+			return this.parseChunk(this._decodeBytes(chunk));
 		};
 	}
-	StringStreamer.prototype = Object.create(StringStreamer.prototype);
-	StringStreamer.prototype.constructor = StringStreamer;
+	BufferStreamer.prototype = Object.create(ChunkStreamer.prototype);
+	BufferStreamer.prototype.constructor = BufferStreamer;
 
 
 	// Use one ParserHandle per entire CSV file or string
@@ -312,8 +1991,14 @@ License: MIT
 		var _input;				// The input being parsed
 		var _parser;			// The core parser being used
 		var _aborted = false;	// Whether the parser has aborted or not
+		var _paused = false;	// Whether the parser is paused or not
+		var _parsing = false;	// Whether the parser loop is running, and may call step
 		var _delimiterError;	// Temporary state between delimiter detection and processing results
 		var _fields = [];		// Fields are from the header row of the input, if there is one
+		var _needsResync = !!_config.resync && parseInt(_config.offset) > 0;	// Whether the input may start in the middle of a row
+		var _resync = null;		// How the input was resynchronized on a row boundary
+		var _resyncPreviewLines = 10;	// Number of rows checked after a guessed row boundary
+		var _charIndex = 0;		// Character position after the parsed rows (the cursor, unless it counts bytes)
 		var _results = {		// The last results returned from the parser
 			data: [],
 			errors: [],
@@ -340,25 +2025,58 @@ License: MIT
 					return;
 
 				_results.data = _results.data[0];
-				userStep(_results, self);
+				var stepResult = userStep(_results, self);
+
+				// A promise returned by step pauses parsing until it is settled
+				if (stepResult && isFunction(stepResult.then))
+				{
+					self.pause();
+					stepResult.then(self.resume, stepFailed);
+				}
 			}
 		};
 
+		function stepFailed(error)
+		{
+			if (_aborted)
+				return;
+			self.streamer._sendError(error instanceof Error ? error : new Error(error));
+			self.abort();
+		}
+
 		/**
-		 * Parses input. Most users won't need, and shouldn't mess with, the baseIndex
-		 * and ignoreLastRow parameters. They are used by streamers (wrapper functions)
+		 * Parses input. Most users won't need, and shouldn't mess with, the baseIndex,
+		 * ignoreLastRow and baseByte parameters. They are used by streamers (wrapper functions)
 		 * when an input comes in multiple chunks, like from a file.
 		 */
-		this.parse = function(input, baseIndex, ignoreLastRow)
+		this.parse = function(input, baseIndex, ignoreLastRow, baseByte)
 		{
+			_charIndex = baseIndex || 0;
+
+			// Aborted before the input arrived
+			if (_aborted)
+				return { data: [], errors: [], meta: { aborted: true } };
+
+			// Paused before the input arrived: it is parsed on resume
+			if (_paused)
+				return { data: [], errors: [], meta: { cursor: baseIndex || 0, firstByte: baseByte || 0, numBytes: 0 } };
+
+			if (needsHeaderRow() && Array.isArray(_config.fields))
+				_fields = _config.fields.slice();	// or were parsed earlier, when resuming from an offset
+
+			// With resync, the input may start with the character before the offset, read by the streamer:
+			// it is left out of the guesses (a CRLF file would otherwise look like it uses LF)
+			var leadBytes = _needsResync && input ? Math.max(0, parseInt(_config.offset) - (baseByte || 0)) : 0;
+			var lead = leadBytes ? 1 : 0;
+
 			var quoteChar = _config.quoteChar || '"';
 			if (!_config.newline)
-				_config.newline = this.guessLineEndings(input, quoteChar);
+				_config.newline = this.guessLineEndings(input.substring(lead), quoteChar);
 
 			_delimiterError = false;
 			if (!_config.delimiter)
 			{
-				var delimGuess = guessDelimiter(input, _config.newline, _config.skipEmptyLines, _config.comments, _config.delimitersToGuess);
+				var delimGuess = guessDelimiter(input.substring(lead), _config.newline, _config.skipEmptyLines, _config.comments, _config.delimitersToGuess);
 				if (delimGuess.successful)
 					_config.delimiter = delimGuess.bestDelimiter;
 				else
@@ -370,19 +2088,81 @@ License: MIT
 			}
 			else if(isFunction(_config.delimiter))
 			{
-				_config.delimiter = _config.delimiter(input);
+				_config.delimiter = _config.delimiter(input.substring(lead));
 				_results.meta.delimiter = _config.delimiter;
 			}
 
+			if (_needsResync)
+			{
+				var rowStart = guessRowStart(input, ignoreLastRow, lead);
+				if (!rowStart)
+				{
+					// No row boundary yet: wait for more input
+					return {
+						data: [],
+						errors: [],
+						meta: { cursor: baseIndex || 0, firstByte: baseByte || 0, numBytes: 0 }
+					};
+				}
+				_needsResync = false;
+				_resync = {
+					skippedBytes: byteLength(input.substring(lead, rowStart.index), _config.encoding),
+					confidence: rowStart.confidence
+				};
+				input = input.substring(rowStart.index);
+				baseIndex = (baseIndex || 0) + rowStart.index;
+				baseByte = (baseByte || 0) + leadBytes + _resync.skippedBytes;
+			}
+
 			var parserConfig = copy(_config);
 
 			_input = input;
 			_parser = new Parser(parserConfig);
-			_results = _parser.parse(_input, baseIndex, ignoreLastRow);
+			_parsing = true;
+			_results = _parser.parse(_input, baseIndex, ignoreLastRow, baseByte);
+			_parsing = false;
 			processResults();
 			return (_results || { meta: {} });
 		};
 
+		this.paused = function()
+		{
+			return _paused;
+		};
+
+		/** The character position after the parsed rows, in the input given to parse */
+		this.getCharIndex = function()
+		{
+			return _charIndex;
+		};
+
+		/**
+		 * Stops parsing after the current row, and stops reading the input. Called from step,
+		 * or between two chunks.
+		 */
+		this.pause = function()
+		{
+			_paused = true;
+			if (_parser)
+				_parser.abort();
+		};
+
+		/** Continues parsing after the last row delivered, and reading the input */
+		this.resume = function()
+		{
+			if (!_paused)
+				return;
+			if (_parsing)
+			{
+				// Called from step: wait for the parser to stop first
+				setTimeout(self.resume, 0);
+				return;
+			}
+			_paused = false;
+			if (self.streamer._halted)
+				self.streamer._parse('');
+		};
+
 		this.aborted = function()
 		{
 			return _aborted;
@@ -391,11 +2171,16 @@ License: MIT
 		this.abort = function()
 		{
 			_aborted = true;
-			_parser.abort();
+			if (_parser)
+				_parser.abort();
 			_results.meta.aborted = true;
 			if (isFunction(_config.complete))
 				_config.complete();
 			_input = '';
+
+			// A paused streamer is not parsing: let it release its input now
+			if (_paused && !_parsing && self.streamer && self.streamer._halted)
+				self.streamer._parse('');
 		};
 
 		this.guessLineEndings = function(input, quoteChar)
@@ -443,6 +2228,20 @@ License: MIT
 				});
 			}
 
+			if (_results && _results.meta.cursor !== undefined)
+			{
+				_charIndex = _results.meta.cursor;
+				// Byte inputs: the cursor is where the parsed rows end in the bytes
+				if (self.streamer && self.streamer._byteCursor)
+					_results.meta.cursor = _results.meta.firstByte + _results.meta.numBytes;
+			}
+
+			if (_resync)
+			{
+				_results.meta.skippedBytes = _resync.skippedBytes;
+				_results.meta.resyncConfidence = _resync.confidence;
+			}
+
 			if (needsHeaderRow())
 				fillHeaderFields();
 
@@ -604,6 +2403,193 @@ License: MIT
 			};
 		}
 
+		/**
+		 * Finds the first row boundary in an input that may start in the middle of a row,
+		 * or even inside a quoted field. Returns the index of the first character of the row,
+		 * and the confidence in the result ('high', 'medium' or 'low'), or null if more input is needed.
+		 * With lead = 1, the input starts with the character before the offset, so the row can start at index 1.
+		 */
+		function guessRowStart(input, moreInputExpected, lead)
+		{
+			var quoteChar = _config.quoteChar || '"';
+			var quoteState = guessQuoteState(input.substring(0, 1024 * 1024), quoteChar);	// max length 1 MB
+
+			// If the quotes don't tell, try both hypotheses and keep the one that gives the most consistent rows
+			var hypotheses = quoteState.inQuotes === undefined ? [false, true] : [quoteState.inQuotes];
+			var best = null;
+			for (var i = 0; i < hypotheses.length; i++)
+			{
+				var index = findRowBoundary(input, quoteChar, hypotheses[i], lead);
+				if (index === -1)
+					continue;
+				var sample = scoreRows(input.substring(index), moreInputExpected);
+				if (!best || sample.score > best.score)
+					best = { index: index, score: sample.score, rows: sample.rows };
+			}
+
+			if (!best)
+				return moreInputExpected ? null : { index: input.length, confidence: 'low' };
+			// Wait for enough rows to check the result, unless the input is already large
+			if (moreInputExpected && best.rows < _resyncPreviewLines && input.length < 1024 * 1024)
+				return null;
+
+			// The rows are consistent if they all have the expected number of fields
+			var consistent = best.score === 1;
+			var confidence = 'low';
+			if (quoteState.proven && consistent)
+				confidence = 'high';
+			else if (quoteState.proven || consistent)
+				confidence = 'medium';
+			return { index: best.index, confidence: confidence };
+		}
+
+		/**
+		 * Guesses whether the input starts inside a quoted field, from the quotes that can only be
+		 * opening quotes (after a delimiter or a line break, before a value) or closing quotes
+		 * (after a value, before a delimiter or a line break), or escaped quotes inside a value.
+		 */
+		function guessQuoteState(input, quoteChar)
+		{
+			var delimiter = _config.delimiter;
+			var escapeChar = _config.escapeChar === undefined ? quoteChar : _config.escapeChar;
+			var votes = { inside: 0, outside: 0 };
+			var quotesBefore = 0;
+
+			function isBoundary(index, isBefore)
+			{
+				if (isBefore)
+					return input[index - 1] === '\n' || input[index - 1] === '\r' || input.substring(index - delimiter.length, index) === delimiter;
+				return input[index] === '\n' || input[index] === '\r' || input.substr(index, delimiter.length) === delimiter;
+			}
+
+			var start = input.indexOf(quoteChar);
+			while (start !== -1)
+			{
+				var end = start;
+				while (input[end] === quoteChar)
+					end++;
+
+				// The characters around the first and last quotes are unknown
+				if (start > 0 && end < input.length && (escapeChar === quoteChar || input[start - 1] !== escapeChar))
+				{
+					var isOdd = (end - start) % 2 === 1;
+					var afterBoundary = isBoundary(start, true);
+					var beforeBoundary = isBoundary(end, false);
+					var insideBefore;	// Whether these quotes are inside a quoted field
+					if (!afterBoundary && !beforeBoundary && !isOdd)
+						insideBefore = true;	// escaped quotes inside a value
+					else if (afterBoundary && !beforeBoundary && isOdd)
+						insideBefore = false;	// opening quote
+					else if (!afterBoundary && beforeBoundary && isOdd)
+						insideBefore = true;	// closing quote
+
+					if (insideBefore !== undefined)
+					{
+						// Each quote toggles the state between the start of the input and these quotes
+						if (insideBefore === (quotesBefore % 2 === 1))
+							votes.outside++;
+						else
+							votes.inside++;
+					}
+				}
+
+				quotesBefore += end - start;
+				start = input.indexOf(quoteChar, end);
+			}
+
+			if (!votes.inside && !votes.outside)
+				// Without any quotes, the input is very unlikely to start inside a quoted field
+				return { inQuotes: quotesBefore > 0 ? undefined : false, proven: false };
+			if (votes.inside === votes.outside)
+				return { inQuotes: undefined, proven: false };
+			return {
+				inQuotes: votes.inside > votes.outside,
+				proven: !votes.inside || !votes.outside
+			};
+		}
+
+		/**
+		 * Returns the index after the first line break outside of quotes, or -1.
+		 * With lead = 1, a line break ending on the first character is a boundary at index 1.
+		 */
+		function findRowBoundary(input, quoteChar, inQuotes, lead)
+		{
+			var escapeChar = _config.escapeChar === undefined ? quoteChar : _config.escapeChar;
+			var newline = _config.newline;
+			if (lead && !inQuotes && input[0] === newline[newline.length - 1])
+				return 1;
+			for (var i = 0; i < input.length; i++)
+			{
+				if (input[i] === quoteChar)
+				{
+					if (escapeChar === quoteChar || input[i - 1] !== escapeChar)
+						inQuotes = !inQuotes;
+				}
+				else if (!inQuotes && input.substr(i, newline.length) === newline)
+					return i + newline.length;
+			}
+			return -1;
+		}
+
+		/**
+		 * Returns the share of the first rows that have the expected number of fields and no errors,
+		 * and the number of rows that were checked.
+		 */
+		function scoreRows(input, moreInputExpected)
+		{
+			var fieldCounts = [];
+
+			// eslint-disable-next-line prefer-const
+			let parser;
+			const step = (results) => {
+				const data = results.data[0];
+				if (testEmptyLine(data))
+					return;
+				fieldCounts.push(results.errors.length ? -1 : data.length);
+				if (fieldCounts.length >= _resyncPreviewLines)
+					parser.abort();
+			};
+
+			parser = new Parser({
+				comments: _config.comments,
+				delimiter: _config.delimiter,
+				newline: _config.newline,
+				quoteChar: _config.quoteChar,
+				escapeChar: _config.escapeChar,
+				step: step
+			});
+			parser.parse(input, 0, moreInputExpected);
+
+			if (!fieldCounts.length)
+				return { score: 0, rows: 0 };
+
+			// Without known fields, the expected number of fields is the most frequent one
+			var expected = _fields.length;
+			if (!_config.header || !expected)
+			{
+				expected = mostFrequent(fieldCounts.filter(function(count) {
+					return count !== -1;
+				}));
+			}
+			var score = fieldCounts.filter(function(count) {
+				return count === expected;
+			}).length / fieldCounts.length;
+			return { score: score, rows: fieldCounts.length };
+		}
+
+		function mostFrequent(values)
+		{
+			var counts = {};
+			var best;
+			for (var i = 0; i < values.length; i++)
+			{
+				counts[values[i]] = (counts[values[i]] || 0) + 1;
+				if (best === undefined || counts[values[i]] > counts[best])
+					best = values[i];
+			}
+			return best;
+		}
+
 		function addError(type, code, msg, row)
 		{
 			var error = {
@@ -647,6 +2633,11 @@ License: MIT
 			escapeChar = config.escapeChar;
 		}
 
+		// Parsing stops after the row that contains this byte position
+		var endOffset = typeof config.endOffset === 'number' ? config.endOffset : Infinity;
+		// The byte offsets are counted in this encoding
+		var encoding = config.encoding;
+
 		// Delimiter must be valid
 		if (typeof delim !== 'string'
 			|| Papa.BAD_DELIMITERS.indexOf(delim) > -1)
@@ -666,12 +2657,10 @@ License: MIT
 			newline = '\n';
 
 		// We're gonna need these at the Parser scope
-		var cursor = 0; // unit: UTF-8 characters
-		// var firstByte = 0; // unit: bytes
-		// var numBytes = 0; // unit: bytes
+		var cursor = 0; // unit: UTF-16 code units
 		var aborted = false;
 
-		this.parse = function(input, baseIndex, ignoreLastRow)
+		this.parse = function(input, baseIndex, ignoreLastRow, baseByte)
 		{
 			// For some reason, in Chrome, this speeds things up (!?)
 			if (typeof input !== 'string')
@@ -688,14 +2677,23 @@ License: MIT
 			// Establish starting state
 			cursor = 0;
 			var data = [], errors = [], row = [], lastCursor = 0;
+			var rowStart = 0;	// Where the current row begins
+			var lastByte = baseByte || 0;	// Byte position of lastCursor
+			var firstByte = lastByte;	// Byte position of the first row in data
+			var asciiEnd = 0;	// In UTF-8, the end of the characters known to be ASCII, after the last counted byte
+			var countUntil = 0;	// In UTF-8, the characters are counted one by one up to there, after a non-ASCII one
 
-			if (!input)
+			if (!input || lastByte >= endOffset)
 				return returnable();
 
+			// A leading BOM is not part of the first field, but its bytes belong to the first row
+			if (!baseIndex && input.charCodeAt(0) === 0xfeff)
+				cursor = 1;
+
 			var nextDelim = input.indexOf(delim, cursor);
 			var nextNewline = input.indexOf(newline, cursor);
 			var quoteCharRegex = new RegExp(escapeRegExp(escapeChar) + escapeRegExp(quoteChar), 'g');
-			var quoteSearch = input.indexOf(quoteChar, cursor);
+			var quoteSearch;	// Position of the closing quote, searched from the opening quote
 
 			// Parser loop
 			for (;;)
@@ -793,6 +2791,8 @@ License: MIT
 								if (aborted)
 									return returnable();
 							}
+							if (lastByte >= endOffset)
+								return returnable();
 
 							break;
 						}
@@ -821,6 +2821,7 @@ License: MIT
 					if (nextNewline === -1)	// Comment ends at EOF
 						return returnable();
 					cursor = nextNewline + newlineLen;
+					rowStart = cursor;
 					nextNewline = input.indexOf(newline, cursor);
 					nextDelim = input.indexOf(delim, cursor);
 					continue;
@@ -848,6 +2849,8 @@ License: MIT
 						if (aborted)
 							return returnable();
 					}
+					if (lastByte >= endOffset)
+						return returnable();
 
 					continue;
 				}
@@ -860,10 +2863,48 @@ License: MIT
 
 			function pushRow(row)
 			{
+				// Skipped lines (comments) between the previous row and this one are not part of it
+				var rowFirstByte = lastByte + bytesBetween(lastCursor, rowStart);
+				if (!data.length)
+					firstByte = rowFirstByte;
 				data.push(row);
+				lastByte = rowFirstByte + bytesBetween(rowStart, cursor);
 				lastCursor = cursor;
 			}
 
+			/**
+			 * Returns the number of bytes of the input from start to end, in its encoding. In UTF-8, the characters
+			 * are only counted one by one near non-ASCII characters, which are looked for a little ahead of the row end
+			 * (not further: a paused parse starts over with a new Parser at each row).
+			 */
+			function bytesBetween(start, end)
+			{
+				if (encoding === 'utf-16le' || encoding === 'utf-16be')
+					return (end - start) * 2;
+				if (encoding && encoding !== 'utf-8')
+					return end - start;	// Single-byte encodings
+				if (end <= countUntil)
+					return utf8ByteLength(input, start, end);
+				asciiEnd = Math.max(asciiEnd, start);
+				while (asciiEnd < end)
+				{
+					var blockEnd = Math.min(inputLen, end + 256);
+					var nonAscii = input.substring(asciiEnd, blockEnd).search(/[\u0080-\uffff]/);
+					if (nonAscii === -1)
+						asciiEnd = blockEnd;
+					else if (asciiEnd + nonAscii >= end)
+						asciiEnd += nonAscii;
+					else
+					{
+						// The next rows likely have non-ASCII characters too
+						countUntil = end + 4096;
+						asciiEnd = end;
+						return utf8ByteLength(input, start, end);
+					}
+				}
+				return end - start;
+			}
+
 			/**
              * checks if there are extra spaces after closing quote and given index without any text
              * if Yes, returns the number of spaces
@@ -907,6 +2948,7 @@ License: MIT
 			{
 				cursor = newCursor;
 				pushRow(row);
+				rowStart = cursor;
 				row = [];
 				nextNewline = input.indexOf(newline, cursor);
 			}
@@ -914,7 +2956,7 @@ License: MIT
 			/** Returns an object with the results, errors, and meta. */
 			function returnable()
 			{
-				if (config.header && !baseIndex && data.length && !headerParsed)
+				if (config.header && !config.fields && !baseIndex && data.length && !headerParsed)
 				{
 					const result = data[0];
 					const headerCount = Object.create(null); // To track the count of each base header
@@ -962,6 +3004,8 @@ License: MIT
 						linebreak: newline,
 						aborted: aborted,
 						cursor: lastCursor + (baseIndex || 0),
+						firstByte: data.length ? firstByte : lastByte,
+						numBytes: data.length ? lastByte - firstByte : 0,
 						renamedHeaders: renamedHeaders
 					}
 				};
@@ -983,11 +3027,112 @@ License: MIT
 		};
 	}
 
+	/** Returns the number of bytes of the UTF-8 encoding of a string, or of its characters from start to end */
+	function utf8ByteLength(string, start, end)
+	{
+		var length = 0;
+		if (end === undefined)
+			end = string.length;
+		for (var i = start || 0; i < end; i++)
+		{
+			var code = string.charCodeAt(i);
+			if (code < 0x80)
+				length += 1;
+			else if (code < 0x800)
+				length += 2;
+			else if (isSurrogatePair(string, i))
+			{
+				length += 4;
+				i++;
+			}
+			else
+				length += 3;	// Lone surrogates are encoded as U+FFFD
+		}
+		return length;
+	}
+
+	/**
+	 * Returns the name of an encoding, as normalized by TextDecoder (UTF-8 by default). Throws if the byte
+	 * offsets of the rows can't be counted in this encoding, because its characters have varying sizes.
+	 */
+	function normalizeEncoding(encoding)
+	{
+		var name = new TextDecoder(encoding || 'utf-8').encoding;
+		if (VARIABLE_WIDTH_ENCODINGS.indexOf(name) !== -1)
+			throw new Error('Unsupported encoding: ' + encoding);
+		return name;
+	}
+
+	/** Returns the encoding given by the UTF-16 BOM at the start of some bytes, if there is one */
+	function detectUtf16Bom(bytes)
+	{
+		if (bytes[0] === 0xff && bytes[1] === 0xfe)
+			return 'utf-16le';
+		if (bytes[0] === 0xfe && bytes[1] === 0xff)
+			return 'utf-16be';
+	}
+
+	/** Returns the compression format given by the header at the start of some bytes: gzip, deflate (zlib) or none */
+	function detectCompression(bytes)
+	{
+		if (bytes[0] === 0x1f && bytes[1] === 0x8b)
+			return 'gzip';
+		// Only the usual zlib headers, as the others can be the start of a CSV file
+		if (bytes[0] === 0x78 && [0x01, 0x5e, 0x9c, 0xda].indexOf(bytes[1]) !== -1)
+			return 'deflate';
+		return null;
+	}
+
+	/** Returns the number of bytes of a string in a normalized encoding (UTF-8 if undefined) */
+	function byteLength(string, encoding)
+	{
+		if (!encoding || encoding === 'utf-8')
+			return utf8ByteLength(string);
+		if (encoding === 'utf-16le' || encoding === 'utf-16be')
+			return string.length * 2;
+		return string.length;	// Single-byte encodings
+	}
+
+	/** Returns the index of the first character starting at or after a byte offset of a string in a normalized encoding */
+	function charIndex(string, byteOffset, encoding)
+	{
+		if (!encoding || encoding === 'utf-8')
+			return utf8CharIndex(string, byteOffset);
+		if (encoding === 'utf-16le' || encoding === 'utf-16be')
+			return Math.min(Math.ceil(byteOffset / 2), string.length);
+		return Math.min(byteOffset, string.length);
+	}
+
+	/** Returns the index of the first character starting at or after a byte offset of the UTF-8 encoding of a string */
+	function utf8CharIndex(string, byteOffset)
+	{
+		var index = 0;
+		var length = 0;
+		while (index < string.length && length < byteOffset)
+		{
+			var size = isSurrogatePair(string, index) ? 2 : 1;
+			length += utf8ByteLength(string.substr(index, size));
+			index += size;
+		}
+		return index;
+	}
+
+	function isSurrogatePair(string, index)
+	{
+		var high = string.charCodeAt(index);
+		var low = string.charCodeAt(index + 1);
+		return high >= 0xd800 && high < 0xdc00 && low >= 0xdc00 && low < 0xe000;
+	}
+
 	/** Makes a deep copy of an array or object (mostly) */
 	function copy(obj)
 	{
 		if (typeof obj !== 'object' || obj === null)
 			return obj;
+		// Instances of other classes (AbortSignal, Blob...) are shared
+		var prototype = Object.getPrototypeOf(obj);
+		if (!Array.isArray(obj) && prototype !== Object.prototype && prototype !== null)
+			return obj;
 		var cpy = Array.isArray(obj) ? [] : {};
 		for (var key in obj)
 			cpy[key] = copy(obj[key]);
@@ -996,8 +3141,28 @@ License: MIT
 
 	function bindFunction(f, self)
 	{
-		return function() { f.apply(self, arguments); };
+		return function() { return f.apply(self, arguments); };
+	}
+	function isBuffer(input)
+	{
+		return input instanceof ArrayBuffer || ArrayBuffer.isView(input);
+	}
+
+	function isBlob(input)
+	{
+		return typeof Blob !== 'undefined' && input instanceof Blob;
+	}
+
+	function isReadableStream(input)
+	{
+		return !!input && isFunction(input.getReader);
 	}
+
+	function isNodeStream(input)
+	{
+		return !!input && input.readable === true && isFunction(input.read) && isFunction(input.on);
+	}
+
 	function isFunction(func)
 	{
 		return typeof func === 'function';
@@ -3,10 +3,13 @@
 var Papa = require("../papaparse.js");
 
 var fs = require('fs');
+var Readable = require('stream').Readable;
+var zlib = require('zlib');
 var assert = require('assert');
 var longSampleRawCsv = fs.readFileSync(__dirname + '/long-sample.csv', 'utf8');
 var utf8BomSampleRawCsv = fs.readFileSync(__dirname + '/utf-8-bom-sample.csv', 'utf8');
 var verylongSampleRawCsv = fs.readFileSync(__dirname + '/verylong-sample.csv', 'utf8');
+var longSampleGzip = zlib.gzipSync(longSampleRawCsv);
 
 function assertLongSampleParsedCorrectly(parsedCsv) {
 	assert.equal(8, parsedCsv.data.length);
@@ -33,7 +36,9 @@ function assertLongSampleParsedCorrectly(parsedCsv) {
 		"linebreak": "\n",
 		"aborted": false,
 		renamedHeaders: null,
-		"cursor": 1209
+		"cursor": 1209,
+		"firstByte": 1031,
+		"numBytes": 178
 	});
 	assert.equal(parsedCsv.errors.length, 0);
 }
@@ -101,6 +106,314 @@ describe('PapaParse', function() {
 		assert.strictEqual(2001, data.length); // Note(SL): string returns 2001, not 2000
 	});
 
+	it('counts the bytes of long inputs with a few non-ASCII characters', function() {
+		const lines = [];
+		for (let i = 0; i < 20000; i++)
+			lines.push(i % 5000 === 4999 ? i + ',"é\n€",😀' : i + ',abc,def');
+		const input = '\ufeff' + lines.join('\r\n');
+		const rows = [];
+		Papa.parse(input, {
+			step: function(parsedCsv) {
+				rows.push([parsedCsv.meta.firstByte, parsedCsv.meta.numBytes]);
+			}
+		});
+		let position = 0;
+		const expected = lines.map(function(line, i) {
+			const row = i ? line : '\ufeff' + line;
+			const numBytes = Buffer.byteLength(row) + (i < lines.length - 1 ? 2 : 0);
+			const bytes = [position, numBytes];
+			position += numBytes;
+			return bytes;
+		});
+		assert.deepEqual(rows, expected);
+	});
+
+	it('parses a Node.js Readable stream', function() {
+		const result = {
+			data: [],
+			errors: [],
+			meta: {}
+		};
+		return Papa.parse(fs.createReadStream(__dirname + '/long-sample.csv', { highWaterMark: 100 }), {
+			step: function(parsedCsv) {
+				result.data.push(parsedCsv.data);
+				result.errors.push(...parsedCsv.errors);
+				result.meta = parsedCsv.meta;
+			},
+		}).then(function() {
+			assertLongSampleParsedCorrectly(result);
+		});
+	});
+
+	it('decodes the characters split between two chunks of a Readable stream', function() {
+		const bytes = Buffer.from('a,é\nb,€\nc,😀');
+		const chunks = [];
+		for (let i = 0; i < bytes.length; i++)
+			chunks.push(bytes.subarray(i, i + 1));
+		const rows = [];
+		return Papa.parse(Readable.from(chunks), {
+			offset: 5,
+			step: function(parsedCsv) {
+				rows.push([parsedCsv.data, parsedCsv.meta.firstByte]);
+			}
+		}).then(function() {
+			assert.deepEqual(rows, [[['b', '€'], 5], [['c', '😀'], 11]]);
+		});
+	});
+
+	it('skips the bytes before the offset of a Readable stream of strings', function() {
+		const bytes = Buffer.from('a,é\nb,€\nc,😀');
+		const chunks = [];
+		for (let i = 0; i < bytes.length; i += 2)
+			chunks.push(bytes.subarray(i, i + 2));
+		const stream = Readable.from(chunks);
+		stream.setEncoding('utf8');
+		const rows = [];
+		return Papa.parse(stream, {
+			offset: 5,
+			step: function(parsedCsv) {
+				rows.push([parsedCsv.data, parsedCsv.meta.firstByte]);
+			}
+		}).then(function() {
+			assert.deepEqual(rows, [[['b', '€'], 5], [['c', '😀'], 11]]);
+		});
+	});
+
+	it('destroys the Readable stream when the parse is aborted', function() {
+		const stream = fs.createReadStream(__dirname + '/long-sample.csv', { highWaterMark: 100 });
+		return Papa.parse(stream, {
+			step: function(parsedCsv, handle) {
+				handle.abort();
+			}
+		}).then(function() {
+			assert.ok(stream.destroyed);
+		});
+	});
+
+	it('stops reading the Readable stream while the parse is paused', function() {
+		const stream = fs.createReadStream(__dirname + '/long-sample.csv', { highWaterMark: 100 });
+		const rows = [];
+		return Papa.parse(stream, {
+			step: function(parsedCsv, handle) {
+				rows.push(parsedCsv.data);
+				if (rows.length !== 1)
+					return;
+				handle.pause();
+				setTimeout(function() {
+					assert.ok(stream.isPaused());
+					assert.ok(!stream.destroyed);
+					handle.resume();
+				}, 20);
+			}
+		}).then(function() {
+			assert.equal(rows.length, 8);
+			assert.deepEqual(rows[1].slice(0, 2), ['Cherokee', 'Shields']);
+		});
+	});
+
+	it('destroys the Readable stream when the signal is aborted', function() {
+		const controller = new AbortController();
+		const stream = new Readable({ read: function() {} });
+		const parsed = Papa.parse(stream, {
+			signal: controller.signal,
+			step: function() {}
+		});
+		controller.abort(new Error('Stop'));
+		return parsed.then(function() {
+			assert.fail('The promise should be rejected');
+		}, function(error) {
+			assert.equal(error.message, 'Stop');
+			assert.ok(stream.destroyed);
+		});
+	});
+
+	it('destroys the Readable stream when the signal is aborted beforehand', function() {
+		const stream = new Readable({ read: function() {} });
+		return Papa.parse(stream, {
+			signal: AbortSignal.abort(new Error('Too late')),
+			step: function() {}
+		}).then(function() {
+			assert.fail('The promise should be rejected');
+		}, function(error) {
+			assert.equal(error.message, 'Too late');
+			assert.ok(stream.destroyed);
+		});
+	});
+
+	it('rejects a file when the signal is aborted beforehand', function() {
+		let rows = 0;
+		return Papa.parse(__dirname + '/long-sample.csv', {
+			file: true,
+			signal: AbortSignal.abort(new Error('Too late')),
+			step: function() {
+				rows++;
+			}
+		}).then(function() {
+			assert.fail('The promise should be rejected');
+		}, function(error) {
+			assert.equal(error.message, 'Too late');
+			assert.equal(rows, 0);
+		});
+	});
+
+	it('destroys the Duplex stream when the signal is aborted beforehand', function(done) {
+		const stream = Papa.parse(Papa.NODE_STREAM_INPUT, { signal: AbortSignal.abort(new Error('Too late')) });
+		stream.on('error', function(error) {
+			assert.equal(error.message, 'Too late');
+			assert.ok(stream.destroyed);
+			done();
+		});
+	});
+
+	it('rejects when the Readable stream fails', function() {
+		return Papa.parse(fs.createReadStream(__dirname + '/not-found.csv'), {
+			step: function() {}
+		}).then(function() {
+			assert.fail('The promise should be rejected');
+		}, function(error) {
+			assert.equal(error.code, 'ENOENT');
+		});
+	});
+
+	it('pipes a Node.js stream through Papa.NODE_STREAM_INPUT', function(done) {
+		const data = [];
+		const stream = Papa.parse(Papa.NODE_STREAM_INPUT, {});
+		stream.on('data', function(row) {
+			data.push(row);
+		});
+		stream.on('end', function() {
+			assert.equal(data.length, 8);
+			assert.deepEqual(data[7].slice(0, 2), ['Talon', 'Salinas']);
+			done();
+		});
+		stream.on('error', done);
+		fs.createReadStream(__dirname + '/long-sample.csv', { highWaterMark: 100 }).pipe(stream);
+	});
+
+	it('reads rows as objects from the Duplex stream with header: true', function(done) {
+		const data = [];
+		const stream = Papa.parse(Papa.NODE_STREAM_INPUT, { header: true, skipEmptyLines: true });
+		stream.on('data', function(row) {
+			data.push(row);
+		});
+		stream.on('end', function() {
+			assert.deepEqual(data, [{ a: '1', b: 'é' }, { a: '2', b: '€' }]);
+			done();
+		});
+		stream.on('error', done);
+		const bytes = Buffer.from('a,b\n1,é\n2,€\n');
+		for (let i = 0; i < bytes.length; i++)
+			stream.write(bytes.subarray(i, i + 1));
+		stream.end();
+	});
+
+	it('skips the strings written to the Duplex stream before the offset', function(done) {
+		const data = [];
+		const stream = Papa.parse(Papa.NODE_STREAM_INPUT, { offset: 4 });
+		stream.on('data', function(row) {
+			data.push(row);
+		});
+		stream.on('end', function() {
+			assert.deepEqual(data, [['b', '2'], ['c', '3']]);
+			done();
+		});
+		stream.on('error', done);
+		stream.write('a,');
+		stream.write('1\nb');
+		stream.write(',2\nc,3');
+		stream.end();
+	});
+
+	it('parses a file given its path', function() {
+		const result = {
+			data: [],
+			errors: [],
+			meta: {}
+		};
+		return Papa.parse(__dirname + '/long-sample.csv', {
+			file: true,
+			chunkSize: 100,
+			step: function(parsedCsv) {
+				result.data.push(parsedCsv.data);
+				result.errors.push(...parsedCsv.errors);
+				result.meta = parsedCsv.meta;
+			},
+		}).then(function() {
+			assertLongSampleParsedCorrectly(result);
+		});
+	});
+
+	it('reads a file descriptor from the offset to the end offset', function(done) {
+		fs.open(__dirname + '/long-sample.csv', 'r', function(error, fd) {
+			assert.ifError(error);
+			const rows = [];
+			Papa.parse(fd, {
+				file: true,
+				chunkSize: 100,
+				offset: 452,
+				endOffset: 600,
+				step: function(parsedCsv) {
+					rows.push([parsedCsv.data.slice(0, 2), parsedCsv.meta.firstByte]);
+				}
+			}).then(function() {
+				assert.deepEqual(rows, [[['Destiny', 'Shannon'], 452], [['Callum', 'Underwood'], 595]]);
+				// The file descriptor is left open for its owner
+				fs.close(fd, done);
+			}).catch(done);
+		});
+	});
+
+	it('parses a gzip file given its path', function() {
+		const path = require('os').tmpdir() + '/papaparse-long-sample.csv.gz';
+		const result = {
+			data: [],
+			errors: [],
+			meta: {}
+		};
+		return fs.promises.writeFile(path, longSampleGzip).then(function() {
+			return Papa.parse(path, {
+				file: true,
+				compression: 'auto',
+				step: function(parsedCsv) {
+					result.data.push(parsedCsv.data);
+					result.errors.push(...parsedCsv.errors);
+					result.meta = parsedCsv.meta;
+				},
+			});
+		}).then(function() {
+			assertLongSampleParsedCorrectly(result);
+		}).finally(function() {
+			return fs.promises.unlink(path);
+		});
+	});
+
+	it('parses a deflate Readable stream', function(done) {
+		zlib.deflate(Buffer.from('a,é\nb,€'), function(error, bytes) {
+			assert.ifError(error);
+			const rows = [];
+			Papa.parse(Readable.from([bytes]), {
+				compression: 'deflate',
+				step: function(parsedCsv) {
+					rows.push([parsedCsv.data, parsedCsv.meta.firstByte]);
+				}
+			}).then(function() {
+				assert.deepEqual(rows, [[['a', 'é'], 0], [['b', '€'], 5]]);
+				done();
+			}).catch(done);
+		});
+	});
+
+	it('rejects when the file cannot be opened', function() {
+		return Papa.parse(__dirname + '/not-found.csv', {
+			file: true,
+			step: function() {}
+		}).then(function() {
+			assert.fail('The promise should be rejected');
+		}, function(error) {
+			assert.equal(error.code, 'ENOENT');
+		});
+	});
+
 	it('handles utf-8 BOM encoded files', function(done) {
 		Papa.parse(utf8BomSampleRawCsv, {
 			header: true,
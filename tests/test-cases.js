@@ -3,19 +3,96 @@ var Papa;
 if (typeof module !== 'undefined' && module.exports) {
 	chai = require('chai');
 	Papa = require('../papaparse.js');
+
+	// Serve the test files, for the remote parsing tests
+	var connect = require('connect');
+	var serveStatic = require('serve-static');
+	var server;
+	before(function(done) {
+		server = connect().use(serveStatic(__dirname)).listen(8072, done);
+	});
+	after(function(done) {
+		server.close(done);
+	});
 }
 
 var assert = chai.assert;
 
-var BASE_PATH = (typeof document === 'undefined') ? './' : document.getElementById('test-cases').src.replace(/test-cases\.js$/, '');
+var BASE_PATH = (typeof document === 'undefined') ? 'http://localhost:8072/' : document.getElementById('test-cases').src.replace(/test-cases\.js$/, '');
 var RECORD_SEP = String.fromCharCode(30);
 var UNIT_SEP = String.fromCharCode(31);
 
-var XHR_ENABLED = false;
-try {
-	new XMLHttpRequest(); // eslint-disable-line no-new
-	XHR_ENABLED = true;
-} catch (e) {} // safari, ie
+var FETCH_ENABLED = typeof fetch === 'function';
+var READABLE_STREAM_ENABLED = typeof ReadableStream === 'function';
+var BLOB_ENABLED = typeof Blob === 'function';
+var ABORT_ENABLED = typeof AbortController === 'function';
+var COMPRESSION_ENABLED = typeof CompressionStream === 'function';
+
+// Resolves with the values of an async iterator
+function collect(iterator, values) {
+	values = values || [];
+	return iterator.next().then(function(result) {
+		if (result.done)
+			return values;
+		values.push(result.value);
+		return collect(iterator, values);
+	});
+}
+
+// The UTF-16LE bytes of a string
+function utf16le(string) {
+	var bytes = new Uint8Array(string.length * 2);
+	for (var i = 0; i < string.length; i++) {
+		bytes[2 * i] = string.charCodeAt(i) % 256;
+		bytes[2 * i + 1] = Math.floor(string.charCodeAt(i) / 256);
+	}
+	return bytes;
+}
+
+// Resolves with the UTF-8 bytes of a string compressed in a format of CompressionStream
+function compress(string, format) {
+	var root = typeof window === 'undefined' ? global : window;
+	var stream = new Blob([string]).stream().pipeThrough(new root.CompressionStream(format));
+	return new Response(stream).arrayBuffer().then(function(buffer) {
+		return new Uint8Array(buffer);
+	});
+}
+
+// A transport serving the UTF-8 bytes of a string like a server supporting Range requests,
+// with the given properties added to the responses
+function rangeTransport(string, properties) {
+	var bytes = new TextEncoder().encode(string);
+	return function(url, request) {
+		var response = {bytes: bytes.slice(request.start, request.end), size: bytes.length};
+		for (var key in properties)
+			response[key] = properties[key];
+		return response;
+	};
+}
+
+// The error of a transport for a request failed with an HTTP status
+function httpError(status, message) {
+	var error = new Error(message);
+	error.status = status;
+	return error;
+}
+
+// A ReadableStream of the UTF-8 bytes of a string, in chunks of the given size
+function byteStream(string, chunkSize, onCancel) {
+	var bytes = new TextEncoder().encode(string);
+	var position = 0;
+	return new ReadableStream({
+		pull: function(controller) {
+			if (position >= bytes.length) {
+				controller.close();
+				return;
+			}
+			controller.enqueue(bytes.slice(position, position + chunkSize));
+			position += chunkSize;
+		},
+		cancel: onCancel
+	});
+}
 
 // Tests for the core parser using new Papa.Parser().parse() (CSV to JSON)
 var CORE_PARSER_TESTS = [
@@ -1132,6 +1209,8 @@ var PARSE_TESTS = [
 				linebreak: '\r\n',
 				delimiter: ',',
 				cursor: 23,
+				firstByte: 20,
+				numBytes: 3,
 				aborted: false,
 				renamedHeaders: null
 			}
@@ -1148,6 +1227,8 @@ var PARSE_TESTS = [
 				linebreak: '\n',
 				delimiter: ',',
 				cursor: 19,
+				firstByte: 16,
+				numBytes: 3,
 				aborted: false,
 				renamedHeaders: null
 			}
@@ -1164,6 +1245,8 @@ var PARSE_TESTS = [
 				linebreak: '\r\n',
 				delimiter: ',',
 				cursor: 28,
+				firstByte: 25,
+				numBytes: 3,
 				aborted: false,
 				renamedHeaders: null
 			}
@@ -1180,6 +1263,8 @@ var PARSE_TESTS = [
 				linebreak: '\r\n',
 				delimiter: ',',
 				cursor: 27,
+				firstByte: 24,
+				numBytes: 3,
 				aborted: false,
 				renamedHeaders: null
 			}
@@ -1196,6 +1281,8 @@ var PARSE_TESTS = [
 				linebreak: '\r\n',
 				delimiter: ',',
 				cursor: 29,
+				firstByte: 24,
+				numBytes: 5,
 				aborted: false,
 				renamedHeaders: null
 			}
@@ -1212,6 +1299,8 @@ var PARSE_TESTS = [
 				linebreak: '\n',
 				delimiter: ',',
 				cursor: 24,
+				firstByte: 21,
+				numBytes: 3,
 				aborted: false,
 				renamedHeaders: null
 			}
@@ -1228,6 +1317,8 @@ var PARSE_TESTS = [
 				linebreak: '\r\n',
 				delimiter: ',',
 				cursor: 27,
+				firstByte: 24,
+				numBytes: 3,
 				aborted: false,
 				renamedHeaders: null
 			}
@@ -1244,6 +1335,8 @@ var PARSE_TESTS = [
 				linebreak: '\r\n',
 				delimiter: ',',
 				cursor: 27,
+				firstByte: 24,
+				numBytes: 3,
 				aborted: false,
 				renamedHeaders: null
 			}
@@ -1375,7 +1468,7 @@ var PARSE_ASYNC_TESTS = [
 		config: {
 			download: true
 		},
-		disabled: !XHR_ENABLED,
+		disabled: !FETCH_ENABLED,
 		expected: {
 			data: [['A', 'B', 'C'], ['X', 'Y', 'Z']],
 			errors: []
@@ -1403,11 +1496,11 @@ describe('Parse Async Tests', function() {
 				throw err;
 			};
 
-			Papa.parse(test.input, config);
-
-			assert.deepEqual(actual.errors, test.expected.errors);
-			assert.deepEqual(actual.data, test.expected.data);
-			done();
+			Papa.parse(test.input, config).then(function() {
+				assert.deepEqual(actual.errors, test.expected.errors);
+				assert.deepEqual(actual.data, test.expected.data);
+				done();
+			}).catch(done);
 		});
 	}
 
@@ -1523,15 +1616,13 @@ var CUSTOM_TESTS = [
 		}
 	},
 	{
-		description: "Step exposes cursor for downloads",
-		expected: [129,	287, 452, 595, 727, 865, 1031, 1209],
-		disabled: !XHR_ENABLED,
+		description: "Step is called with the byte position and length of the row",
+		expected: [[0, 6], [6, 6], [12, 5]],
 		run: function(callback) {
 			var updates = [];
-			Papa.parse(BASE_PATH + "long-sample.csv", {
-				download: true,
+			Papa.parse('A,b,c\nd,E,f\nG,h,i', {
 				step: function(response) {
-					updates.push(response.meta.cursor);
+					updates.push([response.meta.firstByte, response.meta.numBytes]);
 				},
 				complete: function() {
 					callback(updates);
@@ -1540,16 +1631,13 @@ var CUSTOM_TESTS = [
 		}
 	},
 	{
-		description: "Step exposes cursor for chunked downloads",
-		expected: [129,	287, 452, 595, 727, 865, 1031, 1209],
-		disabled: !XHR_ENABLED,
+		description: "Byte positions count multi-byte characters and quoted line breaks",
+		expected: [[0, 5], [5, 10], [15, 6]],
 		run: function(callback) {
 			var updates = [];
-			Papa.parse(BASE_PATH + "long-sample.csv", {
-				download: true,
-				chunkSize: 500,
+			Papa.parse('é,b\n"x\ny",€\nz,😀', {
 				step: function(response) {
-					updates.push(response.meta.cursor);
+					updates.push([response.meta.firstByte, response.meta.numBytes]);
 				},
 				complete: function() {
 					callback(updates);
@@ -1558,14 +1646,14 @@ var CUSTOM_TESTS = [
 		}
 	},
 	{
-		description: "Quoted line breaks near chunk boundaries are handled",
-		expected: [['A', 'B', 'C'], ['X', 'Y\n1\n2\n3', 'Z']],
+		description: "Byte positions are not affected by chunking",
+		expected: [[0, 5], [5, 10], [15, 6]],
 		run: function(callback) {
 			var updates = [];
-			Papa.parse('A,B,C\nX,"Y\n1\n2\n3",Z', {
+			Papa.parse('é,b\n"x\ny",€\nz,😀', {
 				chunkSize: 3,
 				step: function(response) {
-					updates.push(response.data);
+					updates.push([response.meta.firstByte, response.meta.numBytes]);
 				},
 				complete: function() {
 					callback(updates);
@@ -1574,69 +1662,317 @@ var CUSTOM_TESTS = [
 		}
 	},
 	{
-		description: "Step functions can abort parsing",
-		expected: [['A', 'b', 'c']],
+		description: "Byte length of the first row includes the BOM",
+		expected: [[0, 7], [7, 3]],
 		run: function(callback) {
 			var updates = [];
-			Papa.parse('A,b,c\nd,E,f\nG,h,i', {
-				step: function(response, handle) {
-					updates.push(response.data);
-					handle.abort();
+			Papa.parse('\ufeffA,B\nX,Y', {
+				step: function(response) {
+					updates.push([response.meta.firstByte, response.meta.numBytes]);
+				},
+				complete: function() {
 					callback(updates);
+				}
+			});
+		}
+	},
+	{
+		description: "Byte positions skip the header row and the comments",
+		expected: [[11, 4], [23, 3]],
+		run: function(callback) {
+			var updates = [];
+			Papa.parse('A,B\n# note\nX,Y\n# other\nZ,W', {
+				header: true,
+				comments: '#',
+				step: function(response) {
+					updates.push([response.meta.firstByte, response.meta.numBytes]);
 				},
-				chunkSize: 6
+				complete: function() {
+					callback(updates);
+				}
 			});
 		}
 	},
 	{
-		description: "Complete is called after aborting",
-		expected: true,
+		description: "Byte positions start at the offset",
+		expected: [[['x', '€'], 5, 6], [['z', 'y'], 11, 3]],
+		run: function(callback) {
+			var updates = [];
+			Papa.parse('é,b\nx,€\nz,y', {
+				offset: 5,
+				chunkSize: 4,
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte, response.meta.numBytes]);
+				},
+				complete: function() {
+					callback(updates);
+				}
+			});
+		}
+	},
+	{
+		description: "Parsing stops after the row that straddles the end offset",
+		expected: [['A', 'b', 'c'], ['d', 'E', 'f']],
 		run: function(callback) {
+			var data = [];
 			Papa.parse('A,b,c\nd,E,f\nG,h,i', {
-				step: function(response, handle) {
-					handle.abort();
+				endOffset: 8,
+				step: function(results) {
+					data.push(results.data);
 				},
-				chunkSize: 6,
 				complete: function() {
-					callback(true);
+					callback(data);
 				}
 			});
 		}
 	},
 	{
-		description: "Should correctly guess custom delimiter when passed delimiters to guess.",
-		expected: "~",
+		description: "Parsing stops at the end offset when it is a row boundary",
+		expected: [['d', 'E', 'f']],
 		run: function(callback) {
-			Papa.parse('"A"~"B"~"C"~"D"', {
-				delimitersToGuess: ['~', '@', '%'],
-				step: function(response, handle) {
-					handle.abort();
-					callback(response.meta.delimiter);
+			var data = [];
+			Papa.parse('A,b,c\nd,E,f\nG,h,i', {
+				offset: 6,
+				endOffset: 12,
+				chunkSize: 4,
+				step: function(results) {
+					data.push(results.data);
+				},
+				complete: function() {
+					callback(data);
 				}
 			});
-
 		}
 	},
 	{
-		description: "Should still correctly guess default delimiters when delimiters to guess are not given.",
-		expected: ",",
+		description: "Parsing finishes the quoted multi-line row that straddles the end offset",
+		expected: [['a', 'b\nc'], ['d', 'e']],
 		run: function(callback) {
-			Papa.parse('"A","B","C","D"', {
+			var data = [];
+			Papa.parse('a,"b\nc"\nd,e\nf,g', {
+				endOffset: 9,
+				chunkSize: 2,
+				step: function(results) {
+					data.push(results.data);
+				},
+				complete: function() {
+					callback(data);
+				}
+			});
+		}
+	},
+	{
+		description: "Nothing is parsed when the offset is after the end offset",
+		expected: [],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var data = [];
+			Papa.parse(BASE_PATH + "long-sample.csv", {
+				download: true,
+				offset: 300,
+				endOffset: 200,
+				step: function(results) {
+					data.push(results.data);
+				},
+				complete: function() {
+					callback(data);
+				}
+			});
+		}
+	},
+	{
+		description: "Downloads stop after the row that straddles the end offset",
+		expected: [129, 287],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(BASE_PATH + "long-sample.csv", {
+				download: true,
+				chunkSize: 100,
+				offset: 129,
+				endOffset: 300,
+				step: function(response) {
+					updates.push(response.meta.firstByte);
+				},
+				complete: function() {
+					callback(updates);
+				}
+			});
+		}
+	},
+	{
+		description: "Resync skips the end of the row at the offset",
+		expected: [[['1', '2', '3'], 6, 3, 'medium'], [['4', '5', '6'], 12, 3, 'medium']],
+		run: function(callback) {
+			var updates = [];
+			Papa.parse('a,b,c\n1,2,3\n4,5,6', {
+				offset: 3,
+				resync: true,
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte, response.meta.skippedBytes, response.meta.resyncConfidence]);
+				},
+				complete: function() {
+					callback(updates);
+				}
+			});
+		}
+	},
+	{
+		description: "Resync keeps the row at the offset when the offset is a row start",
+		expected: [[['4', '5', '6'], 12, 0, 'medium'], [['7', '8', '9'], 18, 0, 'medium']],
+		run: function(callback) {
+			var updates = [];
+			Papa.parse('a,b,c\n1,2,3\n4,5,6\n7,8,9', {
+				offset: 12,
+				resync: true,
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte, response.meta.skippedBytes, response.meta.resyncConfidence]);
+				},
+				complete: function() {
+					callback(updates);
+				}
+			});
+		}
+	},
+	{
+		description: "Resync guesses CRLF line breaks when the offset is a row start",
+		expected: [[['c', 'd'], 5, '\r\n'], [['e', 'f'], 10, '\r\n']],
+		run: function(callback) {
+			var updates = [];
+			Papa.parse('a,b\r\nc,d\r\ne,f', {
+				offset: 5,
+				resync: true,
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte, response.meta.linebreak]);
+				},
+				complete: function() {
+					callback(updates);
+				}
+			});
+		}
+	},
+	{
+		description: "Resync keeps the row at the offset of bytes after a multi-byte character",
+		expected: [[['b', '€'], 5, 0], [['c', 'd'], 11, 0]],
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(new TextEncoder().encode('a,é\nb,€\nc,d'), {
+				offset: 5,
+				resync: true,
+				chunkSize: 3,
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte, response.meta.skippedBytes]);
+				},
+				complete: function() {
+					callback(updates);
+				}
+			});
+		}
+	},
+	{
+		description: "Resync skips the end of the quoted field at the offset",
+		expected: [[['3', 'foo', '4'], 37, 18, 'high'], [['5', 'bar\nbaz', '6'], 47, 18, 'high']],
+		run: function(callback) {
+			var updates = [];
+			var input = 'id,text,n\n1,"hello\nworld, ""x"" y",2\n3,"foo",4\n5,"bar\nbaz",6\n';
+			Papa.parse(input, {
+				offset: input.indexOf('world'),
+				resync: true,
+				chunkSize: 2,
+				skipEmptyLines: true,
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte, response.meta.skippedBytes, response.meta.resyncConfidence]);
+				},
+				complete: function() {
+					callback(updates);
+				}
+			});
+		}
+	},
+	{
+		description: "Resync skips everything when there is no row boundary",
+		expected: [],
+		run: function(callback) {
+			var data = [];
+			Papa.parse('a,b\n"x\ny",z', {
+				offset: 6,
+				resync: true,
+				step: function(results) {
+					data.push(results.data);
+				},
+				complete: function() {
+					callback(data);
+				}
+			});
+		}
+	},
+	{
+		description: "Resync downloads from an offset in the middle of a row",
+		expected: [287, 87, 'medium'],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			Papa.parse(BASE_PATH + "long-sample.csv", {
+				download: true,
+				chunkSize: 100,
+				offset: 200,
+				resync: true,
 				step: function(response, handle) {
 					handle.abort();
-					callback(response.meta.delimiter);
+					callback([response.meta.firstByte, response.meta.skippedBytes, response.meta.resyncConfidence]);
 				}
 			});
 		}
 	},
 	{
-		description: "Data is correctly parsed with chunks and duplicated headers",
-		expected: [{h0: 'a', h1: 'a'}, {h0: 'b', h1: 'b'}],
+		description: "Known fields are used as header when parsing from an offset",
+		expected: [
+			[{A: '1', B: '2', C: '3'}, []],
+			[{A: '4', B: '5'}, [{type: 'FieldMismatch', code: 'TooFewFields', message: 'Too few fields: expected 3 fields but parsed 2', row: 1}]],
+			[{A: '6', B: '7', C: '8'}, []]
+		],
+		run: function(callback) {
+			var updates = [];
+			Papa.parse('A,B,C\n1,2,3\n4,5\n6,7,8', {
+				offset: 6,
+				header: true,
+				fields: ['A', 'B', 'C'],
+				step: function(response) {
+					updates.push([response.data, response.errors]);
+				},
+				complete: function() {
+					callback(updates);
+				}
+			});
+		}
+	},
+	{
+		description: "Known fields are not renamed, and the first row is not considered as a header",
+		expected: [{A: '1', A_1: '1', C: '3'}, {A: '4', A_1: '5', C: '6'}],
 		run: function(callback) {
 			var data = [];
-			Papa.parse('h0,h1\na,a\nb,b', {
+			Papa.parse('A,A,C\n1,1,3\n4,5,6', {
+				offset: 6,
 				header: true,
-				chunkSize: 10,
+				fields: ['A', 'A_1', 'C'],
+				step: function(results) {
+					data.push(results.data);
+				},
+				complete: function() {
+					callback(data);
+				}
+			});
+		}
+	},
+	{
+		description: "Known fields are used to resync",
+		expected: [{A: '4', B: '5', C: '6'}],
+		run: function(callback) {
+			var data = [];
+			Papa.parse('A,B,C\n1,2,3\n4,5,6', {
+				offset: 8,
+				resync: true,
+				header: true,
+				fields: ['A', 'B', 'C'],
 				step: function(results) {
 					data.push(results.data);
 				},
@@ -1646,6 +1982,1737 @@ var CUSTOM_TESTS = [
 			});
 		}
 	},
+	{
+		description: "Download resumed from an offset with the fields, delimiter and line break parsed earlier",
+		expected: [{title: '', name: 'test name 02'}],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var meta;
+			Papa.parse(BASE_PATH + "sample-header.csv", {
+				download: true,
+				header: true,
+				step: function(results, handle) {
+					meta = results.meta;
+					handle.abort();
+				}
+			}).then(function() {
+				var data = [];
+				return Papa.parse(BASE_PATH + "sample-header.csv", {
+					download: true,
+					offset: meta.firstByte + meta.numBytes,
+					header: true,
+					fields: meta.fields,
+					delimiter: meta.delimiter,
+					newline: meta.linebreak,
+					skipEmptyLines: true,
+					step: function(results) {
+						data.push(results.data);
+					}
+				}).then(function() {
+					callback(data);
+				});
+			});
+		}
+	},
+	{
+		description: "Index records the byte offset of every Nth row",
+		expected: {every: 2, offsets: [0, 8, 16], rowCount: 5, endByte: 19, delimiter: ',', linebreak: '\n'},
+		run: function(callback) {
+			Papa.buildIndex('a,1\nb,2\nc,3\nd,4\ne,5', {every: 2}).then(callback);
+		}
+	},
+	{
+		description: "Index records the fields and skips the header row",
+		expected: {every: 2, offsets: [4, 12], rowCount: 3, endByte: 15, delimiter: ',', linebreak: '\n', fields: ['h', 'i']},
+		run: function(callback) {
+			Papa.buildIndex('h,i\na,1\nb,2\nc,3', {every: 2, header: true}).then(callback);
+		}
+	},
+	{
+		description: "Index of a remote file gives the offsets to resume parsing from",
+		expected: [[0, 452, 865], 8, 1209, ['Galvin', 'Foley']],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			Papa.buildIndex(BASE_PATH + "long-sample.csv", {download: true, chunkSize: 100, every: 3}).then(function(index) {
+				var data;
+				Papa.parse(BASE_PATH + "long-sample.csv", {
+					download: true,
+					offset: index.offsets[2],
+					delimiter: index.delimiter,
+					newline: index.linebreak,
+					step: function(results, handle) {
+						data = results.data.slice(0, 2);
+						handle.abort();
+					}
+				}).then(function() {
+					callback([index.offsets, index.rowCount, index.endByte, data]);
+				});
+			});
+		}
+	},
+	{
+		description: "Remote handle gives the fields, the row count and the rows of a small file",
+		expected: [['title', 'name'], ',', 2, [{title: '', name: 'test name 02'}]],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			Papa.openRemote(BASE_PATH + "sample-header.csv", {header: true, skipEmptyLines: true}).then(function(remote) {
+				return remote.getRows(1, 2).then(function(rows) {
+					callback([remote.fields, remote.delimiter, remote.estimatedRowCount, rows]);
+				});
+			});
+		}
+	},
+	{
+		description: "Remote handle estimates the row count of a large file from a sample",
+		expected: true,
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			Papa.openRemote(BASE_PATH + "verylong-sample.csv", {header: true, chunkSize: 4096}).then(function(remote) {
+				callback(Math.abs(remote.estimatedRowCount - 2000) < 100);
+			});
+		}
+	},
+	{
+		description: "Remote handle reads rows far from the start, and the rows before them",
+		expected: [
+			[{placeholder: 'Etiam a dolor vitae est vestibulum', 'meaning of life': '84', TLD: 'DEF'}, {placeholder: 'Etiam a dolor vitae est vestibulum', 'meaning of life': '84'}],
+			[{placeholder: 'Lorem ipsum dolor sit', 'meaning of life': '42', TLD: 'ABC'}]
+		],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			Papa.openRemote(BASE_PATH + "verylong-sample.csv", {header: true, chunkSize: 4096, every: 100}).then(function(remote) {
+				return remote.getRows(1497, 1499).then(function(last) {
+					return remote.getRows(0, 1).then(function(first) {
+						callback([last, first]);
+					});
+				});
+			});
+		}
+	},
+	{
+		description: "Remote handle jumps to a row with a given index, without downloading the file prefix",
+		expected: [8, [['Galvin', 'Foley']], ['bytes=800-899', 'bytes=900-999', 'bytes=1000-1099']],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var index = {every: 3, offsets: [0, 452, 865], rowCount: 8, endByte: 1209, delimiter: ',', linebreak: '\n'};
+			var ranges = null;
+			Papa.openRemote(BASE_PATH + "long-sample.csv", {
+				chunkSize: 100,
+				index: index,
+				transport: function(url, request) {
+					if (ranges)
+						ranges.push(request.headers.Range);
+					return Papa.fetchTransport(url, request);
+				}
+			}).then(function(remote) {
+				ranges = [];
+				return remote.getRows(6, 7).then(function(rows) {
+					callback([remote.estimatedRowCount, rows.map(function(row) {
+						return row.slice(0, 2);
+					}), ranges]);
+				});
+			});
+		}
+	},
+	{
+		description: "Tail mode parses the last rows of a remote file, in file order",
+		expected: [[['Galvin', 'Foley'], 865, 166], [['Talon', 'Salinas'], 1031, 178]],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(BASE_PATH + "long-sample.csv", {
+				download: true,
+				chunkSize: 100,
+				tail: 2,
+				step: function(response) {
+					updates.push([response.data.slice(0, 2), response.meta.firstByte, response.meta.numBytes]);
+				}
+			}).then(function() {
+				callback(updates);
+			});
+		}
+	},
+	{
+		description: "Tail mode reads the header fields at the start of the file",
+		expected: [[{title: '', name: 'test name 02'}, 38]],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(BASE_PATH + "sample-header.csv", {
+				download: true,
+				chunkSize: 10,
+				tail: 1,
+				header: true,
+				skipEmptyLines: true,
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte]);
+				}
+			}).then(function() {
+				callback(updates);
+			});
+		}
+	},
+	{
+		description: "Tail mode parses the whole file if it has fewer rows",
+		expected: [0, 129, 287, 452, 595, 727, 865, 1031],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(BASE_PATH + "long-sample.csv", {
+				download: true,
+				chunkSize: 500,
+				tail: 20,
+				step: function(response) {
+					updates.push(response.meta.firstByte);
+				}
+			}).then(function() {
+				callback(updates);
+			});
+		}
+	},
+	{
+		description: "Tail mode doesn't count the empty row after a line break at the end of the file",
+		expected: [[['c', '3'], 8, 4], [['d', '4'], 12, 4]],
+		run: function(callback) {
+			var updates = [];
+			Papa.parse('http://example.com/file.csv', {
+				download: true,
+				chunkSize: 6,
+				tail: 2,
+				transport: rangeTransport('a,1\nb,2\nc,3\nd,4\n'),
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte, response.meta.numBytes]);
+				}
+			}).then(function() {
+				callback(updates);
+			});
+		}
+	},
+	{
+		description: "Step exposes cursor for downloads",
+		expected: [129,	287, 452, 595, 727, 865, 1031, 1209],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(BASE_PATH + "long-sample.csv", {
+				download: true,
+				step: function(response) {
+					updates.push(response.meta.cursor);
+				},
+				complete: function() {
+					callback(updates);
+				}
+			});
+		}
+	},
+	{
+		description: "Step exposes cursor for chunked downloads",
+		expected: [129,	287, 452, 595, 727, 865, 1031, 1209],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(BASE_PATH + "long-sample.csv", {
+				download: true,
+				chunkSize: 500,
+				step: function(response) {
+					updates.push(response.meta.cursor);
+				},
+				complete: function() {
+					callback(updates);
+				}
+			});
+		}
+	},
+	{
+		description: "Step exposes byte positions for chunked downloads from an offset",
+		expected: [129, 287, 452, 595, 727, 865, 1031],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(BASE_PATH + "long-sample.csv", {
+				download: true,
+				chunkSize: 500,
+				offset: 129,
+				step: function(response) {
+					updates.push(response.meta.firstByte);
+				},
+				complete: function() {
+					callback(updates);
+				}
+			});
+		}
+	},
+	{
+		description: "Characters split between downloaded chunks are decoded",
+		expected: [[['A', 'B', 'C'], 0, 9], [['X', 'Y', 'Z'], 9, 6]],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(BASE_PATH + "utf-8-bom-sample.csv", {
+				download: true,
+				chunkSize: 2,
+				skipEmptyLines: true,
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte, response.meta.numBytes]);
+				},
+				complete: function() {
+					callback(updates);
+				}
+			});
+		}
+	},
+	{
+		description: "Remote UTF-16 file is detected from its BOM and decoded across split code units",
+		expected: [[{A: 'X', B: 'Y', C: 'Z'}, 14, 12], [{A: 'É', B: '€', C: '😀'}, 26, 14]],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(BASE_PATH + "utf-16le-bom-sample.csv", {
+				download: true,
+				chunkSize: 3,
+				header: true,
+				skipEmptyLines: true,
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte, response.meta.numBytes]);
+				}
+			}).then(function() {
+				callback(updates);
+			});
+		}
+	},
+	{
+		description: "Remote file in a single-byte encoding is parsed from a byte offset",
+		expected: [[{nom: 'thé', prix: '2'}, 16, 6], [{nom: 'crème brûlée', prix: '5'}, 22, 15]],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(BASE_PATH + "windows-1252-sample.csv", {
+				download: true,
+				encoding: 'windows-1252',
+				chunkSize: 4,
+				offset: 16,
+				header: true,
+				fields: ['nom', 'prix'],
+				skipEmptyLines: true,
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte, response.meta.numBytes]);
+				}
+			}).then(function() {
+				callback(updates);
+			});
+		}
+	},
+	{
+		description: "Tail mode finds the rows of a remote UTF-16 file from an odd byte position",
+		expected: [[['É', '€', '😀'], 26, 14]],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(BASE_PATH + "utf-16le-bom-sample.csv", {
+				download: true,
+				encoding: 'utf-16le',
+				chunkSize: 5,
+				tail: 1,
+				skipEmptyLines: true,
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte, response.meta.numBytes]);
+				}
+			}).then(function() {
+				callback(updates);
+			});
+		}
+	},
+	{
+		description: "Failed chunk requests are retried for the same bytes",
+		expected: [8, ['bytes=0-299', 'bytes=300-599', 'bytes=300-599', 'bytes=300-599', 'bytes=600-899', 'bytes=900-1199', 'bytes=1200-1499']],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var ranges = [];
+			var failures = 0;
+			var rows = [];
+			Papa.parse(BASE_PATH + "long-sample.csv", {
+				download: true,
+				chunkSize: 300,
+				retryCount: 2,
+				retryDelay: 1,
+				transport: function(url, request) {
+					ranges.push(request.headers.Range);
+					if (request.headers.Range === 'bytes=300-599' && failures++ < 2)
+						throw httpError(503, 'Service Unavailable');
+					return Papa.fetchTransport(url, request);
+				},
+				step: function(response) {
+					rows.push(response.data[0]);
+				}
+			}).then(function() {
+				callback([rows.length, ranges]);
+			});
+		}
+	},
+	{
+		description: "Parse fails once the retries are exhausted",
+		expected: ['Service Unavailable', 503, 3],
+		run: function(callback) {
+			var requests = 0;
+			Papa.parse('file.csv', {
+				download: true,
+				retryCount: 2,
+				retryDelay: 1,
+				transport: function() {
+					requests++;
+					return Promise.reject(httpError(503, 'Service Unavailable'));
+				},
+				step: function() {}
+			}).catch(function(error) {
+				callback([error.message, error.status, requests]);
+			});
+		}
+	},
+	{
+		description: "Requests failing with other statuses are not retried",
+		expected: ['Not Found', 1],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var requests = 0;
+			Papa.parse(BASE_PATH + "not-found.csv", {
+				download: true,
+				retryCount: 2,
+				retryDelay: 1,
+				transport: function(url, request) {
+					requests++;
+					return Papa.fetchTransport(url, request);
+				},
+				step: function() {}
+			}).catch(function(error) {
+				callback([error.message, requests]);
+			});
+		}
+	},
+	{
+		description: "Retries are given up when the signal is aborted",
+		expected: ['Stop', 1, 1],
+		disabled: !ABORT_ENABLED,
+		run: function(callback) {
+			var requests = 0;
+			var controller = new AbortController();
+			Papa.parse('file.csv', {
+				download: true,
+				retryCount: 3,
+				retryDelay: 30,
+				signal: controller.signal,
+				transport: function() {
+					requests++;
+					throw httpError(503, 'Service Unavailable');
+				},
+				step: function() {}
+			}).catch(function(error) {
+				var rejected = requests;
+				setTimeout(function() {
+					callback([error.message, rejected, requests]);
+				}, 100);
+			});
+			setTimeout(function() {
+				controller.abort(new Error('Stop'));
+			}, 5);
+		}
+	},
+	{
+		description: "Retries of the prefetched chunks are given up when the parse is aborted",
+		expected: [[['a', '1']], 2],
+		run: function(callback) {
+			var bytes = new TextEncoder().encode('a,1\nb,2\nc,3');
+			var requests = 0;
+			var rows = [];
+			Papa.parse('file.csv', {
+				download: true,
+				chunkSize: 4,
+				prefetch: 1,
+				retryCount: 3,
+				retryDelay: 30,
+				transport: function(url, request) {
+					requests++;
+					if (request.start > 0) {
+						throw httpError(503, 'Service Unavailable');
+					}
+					return {bytes: bytes.slice(request.start, request.end), size: bytes.length};
+				},
+				step: function(response, handle) {
+					rows.push(response.data);
+					handle.abort();
+				}
+			}).then(function() {
+				setTimeout(function() {
+					callback([rows, requests]);
+				}, 100);
+			});
+		}
+	},
+	{
+		description: "Chunks after the first one are requested for the same ETag",
+		expected: [[null, '"v1"', '"v1"'], [['a', '1'], ['b', '2'], ['c', '3']]],
+		run: function(callback) {
+			var conditions = [];
+			var transport = rangeTransport('a,1\nb,2\nc,3', {etag: '"v1"'});
+			var rows = [];
+			Papa.parse('http://example.com/file.csv', {
+				download: true,
+				chunkSize: 4,
+				transport: function(url, request) {
+					conditions.push(request.headers['If-Match'] || null);
+					return transport(url, request);
+				},
+				step: function(response) {
+					rows.push(response.data);
+				}
+			}).then(function() {
+				callback([conditions, rows]);
+			});
+		}
+	},
+	{
+		description: "Parse fails when the ETag doesn't match anymore",
+		expected: [[['a', '1']], 'ResourceChanged'],
+		run: function(callback) {
+			var requests = 0;
+			var transport = rangeTransport('a,1\nb,2\nc,3', {etag: '"v1"'});
+			var rows = [];
+			Papa.parse('http://example.com/file.csv', {
+				download: true,
+				chunkSize: 4,
+				retryCount: 2,
+				transport: function(url, request) {
+					// The file is replaced after the first request
+					if (requests++ && request.headers['If-Match'] !== '"v2"')
+						throw httpError(412, 'Precondition Failed');
+					return transport(url, request);
+				},
+				step: function(response) {
+					rows.push(response.data);
+				}
+			}).catch(function(error) {
+				callback([rows, error.code]);
+			});
+		}
+	},
+	{
+		description: "Parse fails when the Last-Modified date changes",
+		expected: [[null, 'Mon, 19 Oct 2026 10:00:00 GMT'], 'ResourceChanged'],
+		run: function(callback) {
+			var conditions = [];
+			Papa.parse('http://example.com/file.csv', {
+				download: true,
+				chunkSize: 4,
+				transport: function(url, request) {
+					var lastModified = conditions.length ? 'Mon, 19 Oct 2026 11:00:00 GMT' : 'Mon, 19 Oct 2026 10:00:00 GMT';
+					conditions.push(request.headers['If-Range'] || null);
+					return rangeTransport('a,1\nb,2\nc,3', {lastModified: lastModified})(url, request);
+				},
+				step: function() {}
+			}).catch(function(error) {
+				callback([conditions, error.code]);
+			});
+		}
+	},
+	{
+		description: "Whole file sent by a server ignoring Range is read from the offset to the end offset",
+		expected: [[[['b', '2'], 4], [['c', '3'], 8]], 1, true],
+		disabled: !READABLE_STREAM_ENABLED,
+		run: function(callback) {
+			var requests = 0;
+			var cancelled = false;
+			var updates = [];
+			Papa.parse('http://example.com/file.csv', {
+				download: true,
+				chunkSize: 4,
+				offset: 4,
+				endOffset: 10,
+				transport: function() {
+					requests++;
+					var bytes = byteStream('a,1\nb,2\nc,3\nd,4\ne,5', 3, function() {
+						cancelled = true;
+					});
+					return {bytes: bytes, partial: false};
+				},
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte]);
+				}
+			}).then(function() {
+				callback([updates, requests, cancelled]);
+			});
+		}
+	},
+	{
+		description: "Server ignoring Range fails the parse with the requireRanges option",
+		expected: [[], 'RangeNotSupported'],
+		run: function(callback) {
+			var rows = [];
+			Papa.parse('http://example.com/file.csv', {
+				download: true,
+				requireRanges: true,
+				transport: function() {
+					return {bytes: new TextEncoder().encode('a,1\nb,2\nc,3'), partial: false};
+				},
+				step: function(response) {
+					rows.push(response.data);
+				}
+			}).catch(function(error) {
+				callback([rows, error.code]);
+			});
+		}
+	},
+	{
+		description: "Tail mode cuts the last rows from the whole file sent by a server ignoring Range",
+		expected: [[['c', '3'], 8], [['d', '4'], 12]],
+		run: function(callback) {
+			var updates = [];
+			Papa.parse('http://example.com/file.csv', {
+				download: true,
+				chunkSize: 6,
+				tail: 2,
+				transport: function() {
+					return {bytes: new TextEncoder().encode('a,1\nb,2\nc,3\nd,4'), partial: false};
+				},
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte]);
+				}
+			}).then(function() {
+				callback(updates);
+			});
+		}
+	},
+	{
+		description: "Next chunks are prefetched while the current one is parsed, and parsed in order",
+		expected: [[['a', '1'], ['b', '2'], ['c', '3'], ['d', '4'], ['e', '5']], 3],
+		run: function(callback) {
+			var pending = 0;
+			var maxPending = 0;
+			var transport = rangeTransport('a,1\nb,2\nc,3\nd,4\ne,5');
+			var rows = [];
+			Papa.parse('http://example.com/file.csv', {
+				download: true,
+				chunkSize: 4,
+				prefetch: 2,
+				transport: function(url, request) {
+					maxPending = Math.max(maxPending, ++pending);
+					// The later chunks arrive first
+					return new Promise(function(resolve) {
+						setTimeout(resolve, 40 - 2 * request.start);
+					}).then(function() {
+						pending--;
+						return transport(url, request);
+					});
+				},
+				step: function(response) {
+					rows.push(response.data);
+				}
+			}).then(function() {
+				callback([rows, maxPending]);
+			});
+		}
+	},
+	{
+		description: "Chunks after the end offset are not prefetched",
+		expected: [[['a', '1'], ['b', '2'], ['c', '3']], ['bytes=0-3', 'bytes=4-7', 'bytes=8-8', 'bytes=9-12']],
+		run: function(callback) {
+			var ranges = [];
+			var transport = rangeTransport('a,1\nb,2\nc,3\nd,4\ne,5\n');
+			var rows = [];
+			Papa.parse('http://example.com/file.csv', {
+				download: true,
+				chunkSize: 4,
+				endOffset: 9,
+				prefetch: 5,
+				transport: function(url, request) {
+					ranges.push(request.headers.Range);
+					return transport(url, request);
+				},
+				step: function(response) {
+					rows.push(response.data);
+				}
+			}).then(function() {
+				callback([rows, ranges]);
+			});
+		}
+	},
+	{
+		description: "Progress of a download gives the bytes parsed and downloaded from the offset, and the file size",
+		expected: [[4, 4, 12], [8, 8, 12], [12, 12, 12]],
+		run: function(callback) {
+			var updates = [];
+			Papa.parse('http://example.com/file.csv', {
+				download: true,
+				chunkSize: 4,
+				offset: 4,
+				transport: rangeTransport('h,i\na,1\nb,2\nc,3\n'),
+				step: function() {},
+				progress: function(progress) {
+					updates.push([progress.parsedBytes, progress.loadedBytes, progress.totalBytes]);
+				}
+			}).then(function() {
+				callback(updates);
+			});
+		}
+	},
+	{
+		description: "Progress of the tail mode counts the bytes parsed from the first tail row",
+		expected: [[8, 14, 8]],
+		run: function(callback) {
+			var updates = [];
+			Papa.parse('http://example.com/file.csv', {
+				download: true,
+				chunkSize: 7,
+				tail: 2,
+				transport: rangeTransport('a,1\nb,2\nc,3\nd,4\ne,5\nf,6\n'),
+				step: function() {},
+				progress: function(progress) {
+					updates.push([progress.parsedBytes, progress.loadedBytes, progress.totalBytes]);
+				}
+			}).then(function() {
+				callback(updates);
+			});
+		}
+	},
+	{
+		description: "Transport option replaces fetch for the requests",
+		expected: [[['a', '1'], ['b', '2'], ['c', '3']], [[0, 6, 'bytes=0-5', 'secret'], [6, 12, 'bytes=6-11', 'secret']]],
+		run: function(callback) {
+			var bytes = new TextEncoder().encode('a,1\nb,2\nc,3');
+			var requests = [];
+			var rows = [];
+			Papa.parse('file.csv', {
+				download: true,
+				chunkSize: 6,
+				downloadRequestHeaders: {Authorization: 'secret'},
+				transport: function(url, request) {
+					requests.push([request.start, request.end, request.headers.Range, request.headers.Authorization]);
+					return Promise.resolve({bytes: bytes.slice(request.start, request.end), size: bytes.length});
+				},
+				step: function(response) {
+					rows.push(response.data);
+				}
+			}).then(function() {
+				callback([rows, requests]);
+			});
+		}
+	},
+	{
+		description: "Transport without the file size reads until fewer bytes than requested are given",
+		expected: [[['a', '1'], ['b', '2'], ['c', '3']], [[0, 4], [4, 8], [8, 12]]],
+		run: function(callback) {
+			var bytes = new TextEncoder().encode('a,1\nb,2\nc,3');
+			var requests = [];
+			var rows = [];
+			Papa.parse('file.csv', {
+				download: true,
+				chunkSize: 4,
+				transport: function(url, request) {
+					requests.push([request.start, request.end]);
+					return {bytes: bytes.slice(request.start, request.end).buffer};
+				},
+				step: function(response) {
+					rows.push(response.data);
+				}
+			}).then(function() {
+				callback([rows, requests]);
+			});
+		}
+	},
+	{
+		description: "Transport can wrap the default one",
+		expected: [8, ['bytes=0-499', 'bytes=500-999', 'bytes=1000-1499']],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var ranges = [];
+			var rows = 0;
+			Papa.parse(BASE_PATH + "long-sample.csv", {
+				download: true,
+				chunkSize: 500,
+				transport: function(url, request) {
+					ranges.push(request.headers.Range);
+					return Papa.fetchTransport(url + '?signature=1', request);
+				},
+				step: function() {
+					rows++;
+				}
+			}).then(function() {
+				callback([rows, ranges]);
+			});
+		}
+	},
+	{
+		description: "Default transport gives the bytes, size and version of the file from the response to a Range request",
+		expected: [100, 1209, true, 'string', 'string'],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			Papa.fetchTransport(BASE_PATH + "long-sample.csv", {start: 0, end: 100, headers: {Range: 'bytes=0-99'}}).then(function(response) {
+				callback([response.bytes.length, response.size, response.partial, typeof response.etag, typeof response.lastModified]);
+			});
+		}
+	},
+	{
+		description: "Default transport fails with the HTTP status of the response",
+		expected: ['Not Found', 404],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			Papa.fetchTransport(BASE_PATH + "not-found.csv", {headers: {}}).catch(function(error) {
+				callback([error.message, error.status]);
+			});
+		}
+	},
+	{
+		description: "Transport errors fail the parse",
+		expected: 'Token expired',
+		run: function(callback) {
+			Papa.parse('file.csv', {
+				download: true,
+				transport: function() {
+					throw new Error('Token expired');
+				},
+				step: function() {}
+			}).catch(function(error) {
+				callback(error.message);
+			});
+		}
+	},
+	{
+		description: "Rows iterator gives the results of each row",
+		expected: [[['a', '1'], 0], [['b', '2'], 4], [['c', '3'], 8]],
+		run: function(callback) {
+			var rows = Papa.rows('a,1\nb,2\nc,3');
+			assert.strictEqual(rows[Symbol.asyncIterator](), rows);
+			collect(rows).then(function(values) {
+				callback(values.map(function(results) {
+					return [results.data, results.meta.firstByte];
+				}));
+			});
+		}
+	},
+	{
+		description: "Rows iterator stops downloading when it is returned early",
+		expected: [['Grant', 'Dyer'], 2, true],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var requests = 0;
+			var rows = Papa.rows(BASE_PATH + "long-sample.csv", {
+				download: true,
+				chunkSize: 200,
+				transport: function(url, request) {
+					requests++;
+					return Papa.fetchTransport(url, request);
+				}
+			});
+			rows.next().then(function(result) {
+				return rows.return().then(function() {
+					return rows.next();
+				}).then(function(end) {
+					setTimeout(function() {
+						callback([result.value.data.slice(0, 2), requests, end.done]);
+					}, 50);
+				});
+			});
+		}
+	},
+	{
+		description: "Rows iterator aborts the pending and prefetched requests when it is returned early",
+		expected: [['a', '1'], true, true],
+		disabled: !ABORT_ENABLED,
+		run: function(callback) {
+			var bytes = new TextEncoder().encode('a,1\nb,2\nc,3\nd,4\ne,5\nf,6\ng,7\nh,8\ni,9\nj,10\n');
+			var signals = [];
+			var rows = Papa.rows('file.csv', {
+				download: true,
+				chunkSize: 8,
+				prefetch: 3,
+				transport: function(url, request) {
+					signals.push(request.signal);
+					if (request.start === 0)
+						return {bytes: bytes.slice(0, 8), size: bytes.length};
+					// The next chunks never arrive, unless they are cancelled
+					return new Promise(function(resolve, reject) {
+						request.signal.addEventListener('abort', function() {
+							reject(request.signal.reason);
+						});
+					});
+				}
+			});
+			rows.next().then(function(first) {
+				return rows.next().then(function() {
+					return rows.return();
+				}).then(function() {
+					callback([first.value.data, signals.length > 1, signals.every(function(signal) {
+						return signal.aborted;
+					})]);
+				});
+			});
+		}
+	},
+	{
+		description: "Rows iterator rejects with the error",
+		expected: 'Not Found',
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			collect(Papa.rows(BASE_PATH + "not-found.csv", {download: true})).catch(function(error) {
+				callback(error.message);
+			});
+		}
+	},
+	{
+		description: "Rows iterator pauses parsing while the rows are not consumed",
+		expected: [true, 3000],
+		disabled: !READABLE_STREAM_ENABLED,
+		run: function(callback) {
+			var pulled = 0;
+			var stream = new ReadableStream({
+				pull: function(controller) {
+					if (pulled++ === 3000)
+						controller.close();
+					else
+						controller.enqueue(new TextEncoder().encode('a,1\n'));
+				}
+			});
+			var rows = Papa.rows(stream);
+			rows.next().then(function(first) {
+				setTimeout(function() {
+					var pausedEarly = pulled < 1500;
+					collect(rows, [first.value]).then(function(values) {
+						callback([pausedEarly, values.length]);
+					});
+				}, 50);
+			});
+		}
+	},
+	{
+		description: "Aborting the signal stops parsing and rejects with the reason",
+		expected: [[['a', '1'], ['b', '2']], ['Stop'], 'Stop', false],
+		disabled: !ABORT_ENABLED,
+		run: function(callback) {
+			var controller = new AbortController();
+			var data = [];
+			var errors = [];
+			var completed = false;
+			Papa.parse('a,1\nb,2\nc,3\nd,4', {
+				signal: controller.signal,
+				step: function(results) {
+					data.push(results.data);
+					if (data.length === 2)
+						controller.abort(new Error('Stop'));
+				},
+				error: function(error) {
+					errors.push(error.message);
+				},
+				complete: function() {
+					completed = true;
+				}
+			}).catch(function(error) {
+				callback([data, errors, error.message, completed]);
+			});
+		}
+	},
+	{
+		description: "An aborted signal prevents parsing",
+		expected: [0, 'Too late'],
+		disabled: !ABORT_ENABLED,
+		run: function(callback) {
+			var controller = new AbortController();
+			controller.abort(new Error('Too late'));
+			var rows = 0;
+			Papa.parse('a,1\nb,2', {
+				signal: controller.signal,
+				step: function() {
+					rows++;
+				}
+			}).catch(function(error) {
+				callback([rows, error.message]);
+			});
+		}
+	},
+	{
+		description: "An aborted signal prevents parsing each kind of input, and releases it",
+		expected: [[0, 'Too late'], [0, 'Too late'], [0, 'Too late', true], [0, 'Too late', true]],
+		disabled: !ABORT_ENABLED || !BLOB_ENABLED || !READABLE_STREAM_ENABLED,
+		run: function(callback) {
+			var controller = new AbortController();
+			controller.abort(new Error('Too late'));
+			function parseRows(input, config, released) {
+				var rows = 0;
+				config.signal = controller.signal;
+				config.step = function() {
+					rows++;
+				};
+				return Papa.parse(input, config).catch(function(error) {
+					return released ? [rows, error.message, released()] : [rows, error.message];
+				});
+			}
+			var cancelled = false;
+			var stream = new ReadableStream({
+				pull: function() {
+					return new Promise(function() {});
+				},
+				cancel: function() {
+					cancelled = true;
+				}
+			});
+			var transportSignal;
+			Promise.all([
+				parseRows(new TextEncoder().encode('a,1\nb,2'), {}),
+				parseRows(new Blob(['a,1\nb,2']), {}),
+				parseRows(stream, {}, function() {
+					return cancelled;
+				}),
+				parseRows('file.csv', {
+					download: true,
+					transport: function(url, request) {
+						transportSignal = request.signal;
+						return {bytes: new TextEncoder().encode('a,1\nb,2')};
+					}
+				}, function() {
+					return !transportSignal || transportSignal.aborted;
+				})
+			]).then(callback);
+		}
+	},
+	{
+		description: "Aborting the signal cancels the pending request",
+		expected: [0, 'Cancelled', 'Cancelled'],
+		disabled: !FETCH_ENABLED || !ABORT_ENABLED,
+		run: function(callback) {
+			var request;
+			var controller = new AbortController();
+			var rows = 0;
+			var parsed = Papa.parse(BASE_PATH + "long-sample.csv", {
+				download: true,
+				signal: controller.signal,
+				transport: function(url, options) {
+					request = Papa.fetchTransport(url, options);
+					return request;
+				},
+				step: function() {
+					rows++;
+				}
+			});
+			controller.abort(new Error('Cancelled'));
+			parsed.catch(function(error) {
+				request.catch(function(requestError) {
+					callback([rows, error.message, requestError.message]);
+				});
+			});
+		}
+	},
+	{
+		description: "Aborting the signal cancels the ReadableStream input",
+		expected: ['Stop', true],
+		disabled: !READABLE_STREAM_ENABLED || !ABORT_ENABLED,
+		run: function(callback) {
+			var controller = new AbortController();
+			var cancelled = false;
+			var stream = new ReadableStream({
+				pull: function() {
+					// Never sends anything
+					return new Promise(function() {});
+				},
+				cancel: function() {
+					cancelled = true;
+				}
+			});
+			Papa.parse(stream, {
+				signal: controller.signal,
+				step: function() {}
+			}).catch(function(error) {
+				callback([error.message, cancelled]);
+			});
+			controller.abort(new Error('Stop'));
+		}
+	},
+	{
+		description: "Parse returns a promise resolved when parsing is complete",
+		expected: [['A', 'b', 'c'], ['d', 'E', 'f']],
+		run: function(callback) {
+			var data = [];
+			Papa.parse('A,b,c\nd,E,f', {
+				step: function(results) {
+					data.push(results.data);
+				}
+			}).then(function() {
+				callback(data);
+			});
+		}
+	},
+	{
+		description: "Parse returns a promise resolved when a download is complete",
+		expected: [['A', 'B', 'C'], ['X', 'Y', 'Z']],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var data = [];
+			Papa.parse(BASE_PATH + "sample.csv", {
+				download: true,
+				chunkSize: 4,
+				step: function(results) {
+					data.push(results.data);
+				}
+			}).then(function() {
+				callback(data);
+			});
+		}
+	},
+	{
+		description: "Parse returns a promise resolved when parsing is aborted",
+		expected: [['A', 'B', 'C']],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var data = [];
+			Papa.parse(BASE_PATH + "sample.csv", {
+				download: true,
+				step: function(results, handle) {
+					data.push(results.data);
+					handle.abort();
+				}
+			}).then(function() {
+				callback(data);
+			});
+		}
+	},
+	{
+		description: "Parse returns a promise rejected when the download fails",
+		expected: ['error', 'rejected'],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var events = [];
+			Papa.parse(BASE_PATH + "not-found.csv", {
+				download: true,
+				step: function() {
+					events.push('step');
+				},
+				error: function() {
+					events.push('error');
+				}
+			}).catch(function() {
+				events.push('rejected');
+				callback(events);
+			});
+		}
+	},
+	{
+		description: "Quoted line breaks near chunk boundaries are handled",
+		expected: [['A', 'B', 'C'], ['X', 'Y\n1\n2\n3', 'Z']],
+		run: function(callback) {
+			var updates = [];
+			Papa.parse('A,B,C\nX,"Y\n1\n2\n3",Z', {
+				chunkSize: 3,
+				step: function(response) {
+					updates.push(response.data);
+				},
+				complete: function() {
+					callback(updates);
+				}
+			});
+		}
+	},
+	{
+		description: "Step functions can abort parsing",
+		expected: [['A', 'b', 'c']],
+		run: function(callback) {
+			var updates = [];
+			Papa.parse('A,b,c\nd,E,f\nG,h,i', {
+				step: function(response, handle) {
+					updates.push(response.data);
+					handle.abort();
+					callback(updates);
+				},
+				chunkSize: 6
+			});
+		}
+	},
+	{
+		description: "Complete is called after aborting",
+		expected: true,
+		run: function(callback) {
+			Papa.parse('A,b,c\nd,E,f\nG,h,i', {
+				step: function(response, handle) {
+					handle.abort();
+				},
+				chunkSize: 6,
+				complete: function() {
+					callback(true);
+				}
+			});
+		}
+	},
+	{
+		description: "Step functions can pause and resume parsing",
+		expected: [[['A', 'b', 'c'], 0], [['d', 'E', 'f'], 6], [['G', 'h', 'i'], 12], false],
+		run: function(callback) {
+			var updates = [];
+			var stepWhilePaused = false;
+			Papa.parse('A,b,c\nd,E,f\nG,h,i', {
+				chunkSize: 8,
+				step: function(response, handle) {
+					stepWhilePaused = stepWhilePaused || handle.paused();
+					updates.push([response.data, response.meta.firstByte]);
+					handle.pause();
+					setTimeout(function() {
+						handle.resume();
+					});
+				}
+			}).then(function() {
+				updates.push(stepWhilePaused);
+				callback(updates);
+			});
+		}
+	},
+	{
+		description: "Resuming in the step function continues after the step returns",
+		expected: [['A', 'b', 'c'], ['d', 'E', 'f'], ['G', 'h', 'i']],
+		run: function(callback) {
+			var updates = [];
+			Papa.parse('A,b,c\nd,E,f\nG,h,i', {
+				step: function(response, handle) {
+					updates.push(response.data);
+					handle.pause();
+					handle.resume();
+				}
+			}).then(function() {
+				callback(updates);
+			});
+		}
+	},
+	{
+		description: "Complete is called after aborting a paused parse",
+		expected: [[['A', 'b', 'c']], true],
+		run: function(callback) {
+			var updates = [];
+			var parser;
+			Papa.parse('A,b,c\nd,E,f\nG,h,i', {
+				chunkSize: 6,
+				step: function(response, handle) {
+					updates.push(response.data);
+					parser = handle;
+					handle.pause();
+				},
+				complete: function() {
+					callback([updates, parser.aborted()]);
+				}
+			});
+			setTimeout(function() {
+				parser.abort();
+			});
+		}
+	},
+	{
+		description: "Paused download requests the next chunk when it is resumed",
+		expected: [1, 2, ['Cherokee', 'Shields'], 8],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var requests = 0;
+			var updates = [];
+			var results = [];
+			Papa.parse(BASE_PATH + "long-sample.csv", {
+				download: true,
+				chunkSize: 500,
+				transport: function(url, request) {
+					requests++;
+					return Papa.fetchTransport(url, request);
+				},
+				step: function(response, handle) {
+					results.push(response);
+					if (results.length !== 1)
+						return;
+					handle.pause();
+					setTimeout(function() {
+						updates.push(requests);
+						handle.resume();
+						updates.push(requests);
+					}, 50);
+				}
+			}).then(function() {
+				updates.push(results[1].data.slice(0, 2), results.length);
+				// The row after the pause starts where the row before it ended
+				assert.strictEqual(results[1].meta.firstByte, results[0].meta.numBytes);
+				callback(updates);
+			});
+		}
+	},
+	{
+		description: "Step functions returning a promise delay the next row until it is resolved",
+		expected: [[['A', 'b', 'c'], 0], [['d', 'E', 'f'], 6], [['G', 'h', 'i'], 12], 1],
+		run: function(callback) {
+			var updates = [];
+			var pending = 0;
+			var maxPending = 0;
+			Papa.parse('A,b,c\nd,E,f\nG,h,i', {
+				chunkSize: 8,
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte]);
+					maxPending = Math.max(maxPending, ++pending);
+					return new Promise(function(resolve) {
+						setTimeout(function() {
+							pending--;
+							resolve();
+						});
+					});
+				}
+			}).then(function() {
+				updates.push(maxPending);
+				callback(updates);
+			});
+		}
+	},
+	{
+		description: "Download waits for the promises returned by step before requesting the next chunk",
+		expected: [8, [0, 0, 0, 0, 0]],
+		disabled: !FETCH_ENABLED,
+		run: function(callback) {
+			var pendingAtRequest = [];
+			var pending = 0;
+			var rows = 0;
+			Papa.parse(BASE_PATH + "long-sample.csv", {
+				download: true,
+				chunkSize: 300,
+				transport: function(url, request) {
+					pendingAtRequest.push(pending);
+					return Papa.fetchTransport(url, request);
+				},
+				step: function() {
+					rows++;
+					pending++;
+					return new Promise(function(resolve) {
+						setTimeout(function() {
+							pending--;
+							resolve();
+						});
+					});
+				}
+			}).then(function() {
+				callback([rows, pendingAtRequest]);
+			});
+		}
+	},
+	{
+		description: "A promise rejected by step stops parsing and rejects the parse",
+		expected: [[['A', 'b', 'c']], 'Write failed', false],
+		run: function(callback) {
+			var updates = [];
+			var completed = false;
+			Papa.parse('A,b,c\nd,E,f\nG,h,i', {
+				step: function(response) {
+					updates.push(response.data);
+					return Promise.reject(new Error('Write failed'));
+				},
+				complete: function() {
+					completed = true;
+				}
+			}).catch(function(error) {
+				callback([updates, error.message, completed]);
+			});
+		}
+	},
+	{
+		description: "Progress of a string gives the bytes parsed and read",
+		expected: [[5, 5, 17], [11, 11, 17], [17, 17, 17]],
+		run: function(callback) {
+			var updates = [];
+			Papa.parse('a,é\nb,€\nc,😀', {
+				chunkSize: 4,
+				step: function() {},
+				progress: function(progress) {
+					updates.push([progress.parsedBytes, progress.loadedBytes, progress.totalBytes]);
+				}
+			});
+			callback(updates);
+		}
+	},
+	{
+		description: "Progress total ends with the row that straddles the end offset",
+		expected: [[0, 4, 9], [5, 8, 9], [11, 12, 11]],
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(new TextEncoder().encode('h,i\na,é\nb,€\nc,d\ne,f'), {
+				chunkSize: 4,
+				offset: 4,
+				endOffset: 13,
+				step: function() {},
+				progress: function(progress) {
+					updates.push([progress.parsedBytes, progress.loadedBytes, progress.totalBytes]);
+				}
+			});
+			callback(updates);
+		}
+	},
+	{
+		description: "Progress total of a stream is known at the end",
+		expected: [[4, 4, undefined], [8, 8, undefined], [8, 11, undefined], [11, 11, 11]],
+		disabled: !READABLE_STREAM_ENABLED,
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(byteStream('a,1\nb,2\nc,3', 4), {
+				step: function() {},
+				progress: function(progress) {
+					updates.push([progress.parsedBytes, progress.loadedBytes, progress.totalBytes]);
+				}
+			}).then(function() {
+				callback(updates);
+			});
+		}
+	},
+	{
+		description: "Should correctly guess custom delimiter when passed delimiters to guess.",
+		expected: "~",
+		run: function(callback) {
+			Papa.parse('"A"~"B"~"C"~"D"', {
+				delimitersToGuess: ['~', '@', '%'],
+				step: function(response, handle) {
+					handle.abort();
+					callback(response.meta.delimiter);
+				}
+			});
+
+		}
+	},
+	{
+		description: "Should still correctly guess default delimiters when delimiters to guess are not given.",
+		expected: ",",
+		run: function(callback) {
+			Papa.parse('"A","B","C","D"', {
+				step: function(response, handle) {
+					handle.abort();
+					callback(response.meta.delimiter);
+				}
+			});
+		}
+	},
+	{
+		description: "Data is correctly parsed with chunks and duplicated headers",
+		expected: [{h0: 'a', h1: 'a'}, {h0: 'b', h1: 'b'}],
+		run: function(callback) {
+			var data = [];
+			Papa.parse('h0,h1\na,a\nb,b', {
+				header: true,
+				chunkSize: 10,
+				step: function(results) {
+					data.push(results.data);
+				},
+				complete: function() {
+					callback(data);
+				}
+			});
+		}
+	},
+	{
+		description: "ReadableStream input is decoded across characters split between chunks",
+		expected: [[['a', 'é'], 0, 5], [['b', '€'], 5, 6], [['c', '😀'], 11, 6]],
+		disabled: !READABLE_STREAM_ENABLED,
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(byteStream('a,é\nb,€\nc,😀', 1), {
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte, response.meta.numBytes]);
+				}
+			}).then(function() {
+				callback(updates);
+			});
+		}
+	},
+	{
+		description: "ReadableStream input starts at the byte offset",
+		expected: [[['b', '€'], 5], [['c', 'd'], 11]],
+		disabled: !READABLE_STREAM_ENABLED,
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(byteStream('a,é\nb,€\nc,d', 4), {
+				offset: 5,
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte]);
+				}
+			}).then(function() {
+				callback(updates);
+			});
+		}
+	},
+	{
+		description: "ReadableStream input is cancelled when the parse is aborted",
+		expected: [['a', '1'], true],
+		disabled: !READABLE_STREAM_ENABLED,
+		run: function(callback) {
+			var data;
+			var cancelled = false;
+			var stream = byteStream('a,1\nb,2\nc,3\nd,4', 4, function() {
+				cancelled = true;
+			});
+			Papa.parse(stream, {
+				step: function(response, handle) {
+					data = response.data;
+					handle.abort();
+				}
+			}).then(function() {
+				setTimeout(function() {
+					callback([data, cancelled]);
+				});
+			});
+		}
+	},
+	{
+		description: "Blob input is read in chunks, across characters split between chunks",
+		expected: [[['a', 'é'], 0, 5], [['b', '€'], 5, 6], [['c', '😀'], 11, 6]],
+		disabled: !BLOB_ENABLED,
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(new Blob(['a,é\nb,€\nc,😀']), {
+				chunkSize: 3,
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte, response.meta.numBytes]);
+				}
+			}).then(function() {
+				callback(updates);
+			});
+		}
+	},
+	{
+		description: "Blob input is read from the offset to the end offset",
+		expected: [[{h: 'b', i: '€'}, 9], [{h: 'c', i: 'd'}, 15]],
+		disabled: !BLOB_ENABLED,
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(new Blob(['h,i\na,é\nb,€\nc,d\ne,f']), {
+				chunkSize: 4,
+				offset: 9,
+				endOffset: 16,
+				header: true,
+				fields: ['h', 'i'],
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte]);
+				}
+			}).then(function() {
+				callback(updates);
+			});
+		}
+	},
+	{
+		description: "Uint8Array input is decoded with the encoding, and its byte offsets are in the buffer",
+		expected: [[['a', 'é'], 0, 4], [['b', 'ü'], 4, 3]],
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(new Uint8Array([0x61, 0x2c, 0xe9, 0x0a, 0x62, 0x2c, 0xfc]), {
+				encoding: 'windows-1252',
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte, response.meta.numBytes]);
+				}
+			});
+			callback(updates);
+		}
+	},
+	{
+		description: "ArrayBuffer input in UTF-16 is decoded across code units split between chunks",
+		expected: [[{h: 'a', i: 'é'}, 10, 8], [{h: 'b', i: '😀'}, 18, 8]],
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(utf16le('\ufeffh,i\na,é\nb,😀').buffer, {
+				encoding: 'utf-16le',
+				chunkSize: 3,
+				header: true,
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte, response.meta.numBytes]);
+				}
+			});
+			callback(updates);
+		}
+	},
+	{
+		description: "Cursor of Uint8Array input is a position in the buffer, across characters split between chunks",
+		expected: [[['a', 'é'], 5], [['b', '€'], 11], [['c', 'd'], 14]],
+		run: function(callback) {
+			var updates = [];
+			Papa.parse(new TextEncoder().encode('a,é\nb,€\nc,d'), {
+				chunkSize: 4,
+				step: function(response, handle) {
+					updates.push([response.data, response.meta.cursor]);
+					// The rest of the chunk is parsed again from the character after the row
+					handle.pause();
+					setTimeout(handle.resume);
+				},
+				complete: function() {
+					callback(updates);
+				}
+			});
+		}
+	},
+	{
+		description: "Uint8Array input starts at the byte offset of the view",
+		expected: [[['b', '€'], 5], [['c', 'd'], 11]],
+		run: function(callback) {
+			var updates = [];
+			var bytes = new TextEncoder().encode('xx\na,é\nb,€\nc,d');
+			Papa.parse(bytes.subarray(3), {
+				offset: 5,
+				step: function(response) {
+					updates.push([response.data, response.meta.firstByte]);
+				}
+			});
+			callback(updates);
+		}
+	},
+	{
+		description: "Encodings with characters of varying sizes are not supported",
+		expected: 'Unsupported encoding: shift_jis',
+		run: function(callback) {
+			var message;
+			try {
+				Papa.parse(new Uint8Array([0x61]), {
+					encoding: 'shift_jis',
+					step: function() {}
+				});
+			} catch (error) {
+				message = error.message;
+			}
+			callback(message);
+		}
+	},
+	{
+		description: "ReadableStream errors reject the promise",
+		expected: 'Stream failed',
+		disabled: !READABLE_STREAM_ENABLED,
+		run: function(callback) {
+			var stream = new ReadableStream({
+				pull: function(controller) {
+					controller.error(new Error('Stream failed'));
+				}
+			});
+			Papa.parse(stream, {
+				step: function() {}
+			}).catch(function(error) {
+				callback(error.message);
+			});
+		}
+	},
+	{
+		description: "Compression option parses gzip bytes with byte offsets in the decompressed input",
+		expected: [[['a', 'é'], 0, 5], [['b', '€'], 5, 6], [['c', 'd'], 11, 3]],
+		disabled: !COMPRESSION_ENABLED,
+		run: function(callback) {
+			var rows = [];
+			compress('a,é\nb,€\nc,d', 'gzip').then(function(bytes) {
+				return Papa.parse(bytes.buffer, {
+					compression: 'gzip',
+					step: function(response) {
+						rows.push([response.data, response.meta.firstByte, response.meta.numBytes]);
+					}
+				});
+			}).then(function() {
+				callback(rows);
+			});
+		}
+	},
+	{
+		description: "Compression auto detects gzip, deflate and uncompressed inputs",
+		expected: [[['a', '1'], ['b', '2']], [['a', '1'], ['b', '2']], [['a', '1'], ['b', '2']]],
+		disabled: !COMPRESSION_ENABLED,
+		run: function(callback) {
+			function parseRows(input) {
+				var rows = [];
+				return Papa.parse(input, {
+					compression: 'auto',
+					step: function(response) {
+						rows.push(response.data);
+					}
+				}).then(function() {
+					return rows;
+				});
+			}
+			Promise.all([
+				compress('a,1\nb,2', 'gzip').then(parseRows),
+				compress('a,1\nb,2', 'deflate').then(function(bytes) {
+					return parseRows(new Blob([bytes]));
+				}),
+				parseRows(byteStream('a,1\nb,2', 1))
+			]).then(callback);
+		}
+	},
+	{
+		description: "Compression option decompresses the chunks of a remote file",
+		expected: [[['a', '1'], 0], [['b', '2'], 4], [['c', '3'], 8]],
+		disabled: !COMPRESSION_ENABLED,
+		run: function(callback) {
+			var rows = [];
+			compress('a,1\nb,2\nc,3', 'gzip').then(function(bytes) {
+				return Papa.parse('file.csv.gz', {
+					download: true,
+					chunkSize: 10,
+					compression: 'auto',
+					transport: function(url, request) {
+						return {bytes: bytes.slice(request.start, request.end), size: bytes.length};
+					},
+					step: function(response) {
+						rows.push([response.data, response.meta.firstByte]);
+					}
+				});
+			}).then(function() {
+				callback(rows);
+			}, function(error) {
+				callback(error.message);
+			});
+		}
+	},
+	{
+		description: "Compression option stops reading at the end offset in the decompressed input",
+		expected: [[['a', '1'], ['b', '2']], true],
+		disabled: !COMPRESSION_ENABLED,
+		run: function(callback) {
+			var rows = [];
+			var canceled = false;
+			compress('a,1\nb,2\nc,3\nd,4', 'gzip').then(function(bytes) {
+				var stream = new ReadableStream({
+					start: function(controller) {
+						controller.enqueue(bytes);
+					},
+					cancel: function() {
+						canceled = true;
+					}
+				});
+				return Papa.parse(stream, {
+					compression: 'gzip',
+					endOffset: 5,
+					step: function(response) {
+						rows.push(response.data);
+					}
+				});
+			}).then(function() {
+				// The cancellation goes through the decompressor
+				setTimeout(function() {
+					callback([rows, canceled]);
+				}, 10);
+			});
+		}
+	},
+	{
+		description: "Offset is not supported on compressed sources",
+		expected: 'The offset and tail options are not supported on compressed sources',
+		run: function(callback) {
+			var message;
+			try {
+				Papa.parse(new Uint8Array(0), {
+					compression: 'gzip',
+					offset: 10,
+					step: function() {}
+				});
+			} catch (error) {
+				message = error.message;
+			}
+			callback(message);
+		}
+	},
+	{
+		description: "Corrupt compressed input rejects the promise",
+		expected: true,
+		disabled: !COMPRESSION_ENABLED,
+		run: function(callback) {
+			Papa.parse(new TextEncoder().encode('a,1\nb,2'), {
+				compression: 'gzip',
+				step: function() {}
+			}).then(function() {
+				callback(false);
+			}, function(error) {
+				callback(error instanceof Error);
+			});
+		}
+	},
 ];
 
 describe('Custom Tests', function() {
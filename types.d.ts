@@ -12,12 +12,107 @@ export {}; // Don't export all declarations!
  * Parse string or remote files
  * @param source the string to be parsed or the URL to the file to download.
  * @param config a config object.
- * @returns Doesn't return anything. Results are provided asynchronously to a callback function.
+ * @returns A promise resolved when the `complete` callback is called, and rejected with the error passed to the `error` callback.
+ * Results are provided to the `step` callback.
  */
 export function parse(
   source: string,
   config: ParseAsyncConfig & (ParseStringConfig | ParseRemoteConfig)
-): void;
+): Promise<void>;
+
+/**
+ * Parse a stream of bytes, like `Response.body` or `Blob.stream()`, decoded with the `encoding` option.
+ * The bytes before the `offset` option are read and discarded.
+ * @param source the stream to be parsed.
+ * @param config a config object.
+ * @returns A promise resolved when the `complete` callback is called, and rejected with the error passed to the `error` callback.
+ * Results are provided to the `step` callback.
+ */
+export function parse(source: ReadableStream<Uint8Array>, config: ParseAsyncConfig): Promise<void>;
+
+/**
+ * Parse a local file (Blob or File), decoded with the `encoding` option. It is read in slices of `chunkSize` bytes,
+ * from the `offset` option to the `endOffset` option.
+ * @param source the file to be parsed.
+ * @param config a config object.
+ * @returns A promise resolved when the `complete` callback is called, and rejected with the error passed to the `error` callback.
+ * Results are provided to the `step` callback.
+ */
+export function parse(source: Blob, config: ParseAsyncConfig): Promise<void>;
+
+/**
+ * Parse bytes held in memory, decoded with the `encoding` option, in chunks of `chunkSize` bytes.
+ * The byte offsets (`offset`, `endOffset`, `meta.firstByte`, `meta.cursor`, ...) are positions in the bytes.
+ * @param source the bytes to be parsed.
+ * @param config a config object.
+ * @returns A promise resolved when the `complete` callback is called, and rejected with the error passed to the `error` callback.
+ * Results are provided to the `step` callback, synchronously.
+ */
+export function parse(source: ArrayBuffer | ArrayBufferView, config: ParseAsyncConfig): Promise<void>;
+
+/**
+ * Parse a file in Node.js, decoded with the `encoding` option. It is read in chunks of `chunkSize` bytes at explicit positions,
+ * from the `offset` option to the `endOffset` option.
+ * @param source the path to the file, or a file descriptor (which is not closed after parsing).
+ * @param config a config object, with `file: true`.
+ * @returns A promise resolved when the `complete` callback is called, and rejected with the error passed to the `error` callback.
+ * Results are provided to the `step` callback.
+ */
+export function parse(source: string | number, config: ParseAsyncConfig & ParseFileConfig): Promise<void>;
+
+/**
+ * Parse a Node.js Readable stream of bytes (decoded with the `encoding` option) or of strings.
+ * The stream is paused while a chunk is waiting to be parsed.
+ * The bytes before the `offset` option are read and discarded.
+ * @param source the stream to be parsed.
+ * @param config a config object.
+ * @returns A promise resolved when the `complete` callback is called, and rejected with the error passed to the `error` callback.
+ * Results are provided to the `step` callback.
+ */
+export function parse(source: NodeJS.ReadableStream, config: ParseAsyncConfig): Promise<void>;
+
+/**
+ * Create a Node.js Duplex stream: the CSV text written to it is parsed, and the rows are read from it.
+ * @param source `Papa.NODE_STREAM_INPUT`
+ * @param config a config object. The `step`, `complete` and `error` callbacks are not used.
+ * @returns The Duplex stream, in object mode on its readable side.
+ */
+export function parse(
+  source: typeof NODE_STREAM_INPUT,
+  config?: Omit<ParseAsyncConfig, "step" | "complete" | "error">
+): import("stream").Duplex;
+
+/**
+ * Iterate over the results of the rows, with `for await (const { data, meta } of Papa.rows(source, config))`.
+ * Parsing starts with the first iteration, and leaving the loop early (`break`, `return` or `throw`) aborts it,
+ * along with the following network requests.
+ * @param source any input accepted by `parse()`.
+ * @param config a config object. The `step` callback is not used.
+ * @returns An async iterator, rejected with the parsing error if there is one.
+ */
+export function rows(
+  source: string | ArrayBuffer | ArrayBufferView | Blob | ReadableStream<Uint8Array> | NodeJS.ReadableStream | number,
+  config?: Omit<ParseAsyncConfig, "step"> & (ParseStringConfig | ParseRemoteConfig | ParseFileConfig)
+): AsyncIterableIterator<ParseResult>;
+
+/**
+ * Parse the whole string or remote file once, and build a sparse index of the byte offsets of its rows
+ * @param source the string to be parsed or the URL to the file to download.
+ * @param config a config object. The `step` callback is not used.
+ * @returns A promise resolved with the index.
+ */
+export function buildIndex(
+  source: string,
+  config?: ParseIndexConfig & (ParseStringConfig | ParseRemoteConfig)
+): Promise<ParseIndex>;
+
+/**
+ * Open a remote file for random access by row number
+ * @param url the URL to the file to download. The server must support Range requests.
+ * @param config a config object, without the callbacks and the byte offsets.
+ * @returns A promise resolved with the handle, once the header and the first rows have been read.
+ */
+export function openRemote(url: string, config?: OpenRemoteConfig): Promise<RemoteHandle>;
 
 /**
  * Read-Only Properties
@@ -26,6 +121,9 @@ export function parse(
 /** An array of characters that are not allowed as delimiters. `\r`, `\n`, `"`, `\ufeff` */
 export const BAD_DELIMITERS: readonly string[];
 
+/** Pass it as the input of `Papa.parse`, to get a Node.js Duplex stream */
+export const NODE_STREAM_INPUT: 1;
+
 /** The true delimiter. Invisible. ASCII code 30. Should be doing the job we strangely rely upon commas and tabs for. */
 export const RECORD_SEP: "\x1E";
 
@@ -36,6 +134,12 @@ export const UNIT_SEP: "\x1F";
  * Configurable Properties
  */
 
+/**
+ * The size in bytes of each file chunk. Used when reading local files (Blob or File). Default 10 MB.
+ * @default 10485760
+ */
+export let LocalChunkSize: number;
+
 /**
  * The size in bytes of each file chunk. Used when downloading files from remote locations. Default 5 MB.
  * @default 5242880
@@ -48,6 +152,30 @@ export let RemoteChunkSize: number;
  */
 export let DefaultDelimiter: string;
 
+/**
+ * The number of rows between two offsets of an index, if the `every` option is not set. Default 1000.
+ * @default 1000
+ */
+export let DefaultIndexInterval: number;
+
+/**
+ * The number of downloaded chunks kept in memory by a remote handle, if the `cacheSize` option is not set. Default 4.
+ * @default 4
+ */
+export let RemoteCacheSize: number;
+
+/**
+ * Milliseconds before the first retry of a failed request, if the `retryDelay` option is not set. Default 1000.
+ * @default 1000
+ */
+export let RemoteRetryDelay: number;
+
+/**
+ * The HTTP statuses of the failed requests that are retried, if the `retryStatusCodes` option is not set.
+ * @default [408, 429, 500, 502, 503, 504]
+ */
+export let RemoteRetryStatusCodes: number[];
+
 /**
  * On Papa there are actually more classes exposed
  * but none of them are officially documented
@@ -57,11 +185,20 @@ export let DefaultDelimiter: string;
 export class Parser {
   constructor(config: ParseAsyncConfig);
 
-  parse(input: string, baseIndex: number, ignoreLastRow: boolean): any;
+  parse(input: string, baseIndex: number, ignoreLastRow: boolean, baseByte?: number): any;
 
   // Sets the abort flag
   abort(): void;
 
+  // Stops parsing after the current row, and stops reading the input
+  pause(): void;
+
+  // Continues parsing after the last row delivered, and reading the input
+  resume(): void;
+
+  // Whether parsing is paused
+  paused(): boolean;
+
   // Gets the cursor position
   getCharIndex(): number;
 }
@@ -70,10 +207,11 @@ export interface ParseAsyncConfig {
   /**
    * To stream the input, define a callback function.
    * Streaming is necessary for large files which would otherwise crash the browser.
-   * You can call parser.abort() to abort parsing.
+   * You can call parser.abort() to abort parsing, or parser.pause() and later parser.resume() to pause it.
+   * If a promise is returned, parsing is paused until it is resolved, and fails if it is rejected.
    * Mandatory
    */
-  step(results: ParseResult, parser: Parser): void;
+  step(results: ParseResult, parser: Parser): void | PromiseLike<unknown>;
   /**
    * The delimiting character.
    * Leave blank to auto-detect from a list of most common delimiters, or any values passed in through `delimitersToGuess`.
@@ -110,6 +248,13 @@ export interface ParseAsyncConfig {
    * @default false
    */
   header?: boolean | undefined;
+  /**
+   * With `header: true`, the field names to use instead of parsing them from the first row.
+   * When resuming a parse from an `offset`, pass the `fields` (and the `delimiter` and `linebreak`, as `newline`)
+   * reported in `meta` by the parse that started at byte 0.
+   * @default undefined
+   */
+  fields?: string[] | undefined;
   /**
    * A string that indicates a comment (for example, "#" or "//").
    * When Papa encounters a line starting with this string, it will skip the line.
@@ -128,10 +273,57 @@ export interface ParseAsyncConfig {
    */
   delimitersToGuess?: string[] | undefined;
   /**
-   * Overrides `Papa.RemoteChunkSize`.
+   * Overrides `Papa.LocalChunkSize` and `Papa.RemoteChunkSize`.
    * For string streamer, it's the size in characters of each chunk to be processed, not the size in bytes.
    */
   chunkSize?: number | undefined;
+  /**
+   * If defined and greater than 0, parsing will start at this byte offset in the remote file
+   * (or in the `encoding` of the string) instead of the beginning of the input.
+   */
+  offset?: number | undefined;
+  /**
+   * The encoding of the input bytes, as a label supported by `TextDecoder`. The byte offsets of the rows
+   * are counted in this encoding, so encodings whose characters have varying sizes, other than UTF-8,
+   * are not supported (Shift_JIS, GBK, Big5, ...). With a string input, it gives the encoding in which
+   * the byte offsets are counted.
+   * Without this option, a remote file starting with a UTF-16 BOM is decoded as UTF-16. The BOM is only
+   * seen when parsing from the start of the file: set this option with an `offset`, or in `tail` mode.
+   * @default 'utf-8'
+   */
+  encoding?: string | undefined;
+  /**
+   * If defined, parsing stops at this byte offset (exclusive). The row that straddles it is parsed entirely,
+   * and the remote file is only downloaded up to the end of this row.
+   */
+  endOffset?: number | undefined;
+  /**
+   * Decompresses the input bytes before parsing, with `DecompressionStream` (or zlib in Node.js):
+   * `'gzip'`, `'deflate'` (zlib format), or `'auto'` to detect them from the first bytes, an input
+   * without these headers being parsed as is. It applies to bytes, Blobs, streams, files and remote files.
+   * The byte offsets of the rows, `endOffset` and the progress are counted in the decompressed input.
+   * `offset` and `tail` are not supported on compressed sources, nor is `Papa.openRemote`.
+   */
+  compression?: "gzip" | "deflate" | "auto" | undefined;
+  /**
+   * If true, and if `offset` is greater than 0, the offset is not assumed to be the start of a row: parsing
+   * starts after the first row boundary that follows it, even if the offset is inside a quoted field.
+   * The row boundary is guessed from the quotes and from the number of fields of the following rows.
+   * The number of skipped bytes and the confidence in the guess are reported in `meta`.
+   * @default false
+   */
+  resync?: boolean | undefined;
+  /**
+   * When this signal is aborted, parsing stops, the pending network request (or file read, stream...)
+   * is cancelled, and the abort reason is passed to the `error` callback instead of calling `complete`.
+   * The promise returned by `parse()` is rejected with the reason.
+   */
+  signal?: AbortSignal | undefined;
+  /**
+   * A callback to execute after each chunk is parsed, to show the progress of parsing.
+   * The bytes are counted from `offset`, and up to `endOffset`.
+   */
+  progress?(progress: ParseProgress): void;
   /**
    * A callback to execute if the streamer encounters an error.
    * The function is passed one argument: the error.
@@ -143,12 +335,94 @@ export interface ParseAsyncConfig {
   complete?(): void;
 }
 
+export interface ParseIndexConfig extends Omit<ParseAsyncConfig, "step"> {
+  /**
+   * The number of rows between two offsets of the index.
+   * @default 1000
+   */
+  every?: number | undefined;
+}
+
+/**
+ * A serializable sparse index of the rows of a file.
+ * To parse from the row `n`, pass `offsets[Math.floor(n / every)]` as `offset`,
+ * along with `fields`, `delimiter` and `linebreak` (as `newline`), and skip `n % every` rows.
+ */
+export interface ParseIndex {
+  /** The number of rows between two offsets */
+  every: number;
+  /** `offsets[i]` is the byte offset of the row `i * every` (the header row is not counted) */
+  offsets: number[];
+  /** The number of rows */
+  rowCount: number;
+  /** The byte offset after the last row */
+  endByte: number;
+  /** Delimiter used */
+  delimiter: string | undefined;
+  /** Line break sequence used */
+  linebreak: string | undefined;
+  /** Array of field names, with `header: true` */
+  fields?: string[] | undefined;
+}
+
+export interface OpenRemoteConfig
+  extends Omit<ParseAsyncConfig, "step" | "complete" | "error" | "progress" | "offset" | "endOffset" | "resync" | "compression">,
+    Omit<ParseRemoteConfig, "download" | "tail"> {
+  /**
+   * An index built earlier with `Papa.buildIndex`, to jump to any row without reading the rows before it.
+   * Else, the byte offset of every `every`th row is recorded as the rows are read.
+   */
+  index?: ParseIndex | undefined;
+  /**
+   * The number of rows between two recorded offsets, if no `index` is given.
+   * @default 1000
+   */
+  every?: number | undefined;
+  /**
+   * The number of downloaded chunks kept in memory.
+   * @default 4
+   */
+  cacheSize?: number | undefined;
+}
+
+/** A remote file opened with `Papa.openRemote` */
+export interface RemoteHandle {
+  /** Array of field names, with `header: true` */
+  fields: string[] | undefined;
+  /** Delimiter used */
+  delimiter: string;
+  /** Line break sequence used */
+  linebreak: string;
+  /**
+   * The number of rows, estimated from the size of the first rows and the file size.
+   * It is exact once the end of the file has been read, or if an `index` was given.
+   */
+  estimatedRowCount: number | undefined;
+  /**
+   * Read rows by number (the header row is not counted)
+   * @param startRow the first row, included
+   * @param endRow the last row, excluded. Defaults to the end of the file.
+   * @returns A promise resolved with the rows.
+   */
+  getRows(startRow: number, endRow?: number): Promise<any[]>;
+}
+
 interface ParseStringConfig {
   /**
    * This indicates that the string you passed as the first argument to `parse()`
    * is the actual CSV text to parse.
    */
   download?: false | undefined;
+  file?: false | undefined;
+}
+
+// Node.js only
+interface ParseFileConfig {
+  /**
+   * This indicates that the first argument to `parse()` is the path to a file,
+   * or a file descriptor, to read with the `fs` module.
+   */
+  file: true;
 }
 
 // Remote parsing has options for the backing web request
@@ -156,6 +430,8 @@ interface ParseRemoteConfig {
   /**
    * This indicates that the string you passed as the first argument to `parse()`
    * is actually a URL from which to download a file and parse its contents.
+   * The requests after the first one are conditional on its `ETag` (`If-Match`) or `Last-Modified` (`If-Range`):
+   * if the file changes in between, parsing fails with an error whose `code` is `"ResourceChanged"`.
    */
   download: true;
   /**
@@ -176,17 +452,95 @@ interface ParseRemoteConfig {
     | string
     | undefined;
   /**
-   * A boolean value passed directly into XMLHttpRequest's "withCredentials" property.
+   * If true, the cookies and credentials are sent with cross-origin requests (fetch's `credentials: 'include'`).
    * @default undefined
    */
   withCredentials?: boolean | undefined;
   /**
-   * If defined and greater than 0, the first chunk will start at this byte offset in the remote file
-   * instead of the beginning of the file.
+   * Parse only the last rows of the file, in file order. The file is downloaded backwards from its end
+   * with suffix Range requests, until enough rows are found after a row boundary.
+   * With `header: true`, the header row is read at the start of the file, unless `fields` is given.
+   * The `offset` and `endOffset` options are ignored.
+   * @default undefined
    */
-  offset?: number | undefined;
+  tail?: number | undefined;
+  /**
+   * The number of times a failed request is retried, for the same bytes, so that no row is repeated.
+   * Network errors and the HTTP statuses in `retryStatusCodes` are retried.
+   * @default 0
+   */
+  retryCount?: number | undefined;
+  /**
+   * Milliseconds before the first retry of a failed request. The delay is doubled for each next retry.
+   * @default Papa.RemoteRetryDelay
+   */
+  retryDelay?: number | undefined;
+  /**
+   * The HTTP statuses of the failed requests that are retried.
+   * @default Papa.RemoteRetryStatusCodes
+   */
+  retryStatusCodes?: number[] | undefined;
+  /**
+   * When the server ignores the Range header and sends the whole file, fail with an error whose `code` is
+   * `"RangeNotSupported"`. Else the whole file is read as a stream, and the bytes before `offset` are skipped.
+   * @default false
+   */
+  requireRanges?: boolean | undefined;
+  /**
+   * The number of next chunks requested in advance, while the current one is parsed.
+   * They are parsed in file order, and no chunk after `endOffset` is prefetched.
+   * @default 0
+   */
+  prefetch?: number | undefined;
+  /**
+   * Sends the requests for the bytes of the file, instead of `Papa.fetchTransport`: to sign the URLs,
+   * refresh the credentials, or read the file from somewhere else. A failed request must reject,
+   * with the HTTP `status` of the error to retry it (see `retryStatusCodes`).
+   * @default Papa.fetchTransport
+   */
+  transport?(url: string, request: TransportRequest): TransportResponse | PromiseLike<TransportResponse>;
+}
+
+/** A request for the bytes of a remote file, sent by a transport */
+export interface TransportRequest {
+  /** The first byte requested, or minus the number of bytes requested at the end of the file */
+  start: number;
+  /** The end of the bytes requested (exclusive), or undefined for the whole file */
+  end: number | undefined;
+  /** The headers of the request: `downloadRequestHeaders`, `Range`, and `If-Match` or `If-Range` */
+  headers: { [headerName: string]: string };
+  /** The `downloadRequestBody` option */
+  body: ParseRemoteConfig["downloadRequestBody"];
+  /** The `withCredentials` option */
+  withCredentials: boolean | undefined;
+  /** The `signal` option, aborted when parsing is aborted */
+  signal: AbortSignal | undefined;
 }
 
+/** The bytes of a remote file, given by a transport */
+export interface TransportResponse {
+  /** The bytes requested, or the whole file if `partial` is false */
+  bytes: ArrayBuffer | ArrayBufferView | ReadableStream<Uint8Array>;
+  /**
+   * The size of the file, if known. Else the end of the file is reached when fewer bytes than requested are given.
+   */
+  size?: number | undefined;
+  /**
+   * False if the whole file was sent instead of the requested bytes, like by a server that ignores the Range header.
+   * @default true
+   */
+  partial?: boolean | undefined;
+  /** The ETag of the file, to check that it doesn't change between two requests */
+  etag?: string | null | undefined;
+  /** The Last-Modified date of the file, to check that it doesn't change between two requests */
+  lastModified?: string | null | undefined;
+}
+
+/**
+ * The default transport of the remote files, with `fetch`. It can be called by another transport.
+ */
+export function fetchTransport(url: string, request: TransportRequest): Promise<TransportResponse>;
+
 /** Error structure */
 export interface ParseError {
   /** A generalization of the error */
@@ -206,6 +560,19 @@ export interface ParseError {
   index?: number | undefined;
 }
 
+/** The progress of parsing, in bytes counted from the offset */
+export interface ParseProgress {
+  /** The bytes of the rows parsed so far */
+  parsedBytes: number;
+  /** The bytes read or downloaded so far, which can go past the rows parsed */
+  loadedBytes: number;
+  /**
+   * The bytes to parse, up to the end of the input or `endOffset`, if the size of the input is known
+   * (from `Content-Range` for a remote file). It is the end of the last row once parsing is finished.
+   */
+  totalBytes: number | undefined;
+}
+
 export interface ParseMeta {
   /** Delimiter used */
   delimiter: string;
@@ -215,12 +582,22 @@ export interface ParseMeta {
   aborted: boolean;
   /** Array of field names */
   fields?: string[] | undefined;
-  /** Character position after the parsed row */
+  /** Character position after the parsed row, or byte position in the buffer for `ArrayBuffer` and `Uint8Array` inputs */
   cursor: number;
-  /** Byte position where parsing started */
+  /**
+   * Byte position of the row in the input (in the `encoding`), taking the `offset` into account.
+   * In the step callback, the row can be fetched again with the Range `bytes=firstByte-(firstByte + numBytes - 1)`.
+   */
   firstByte: number;
-  /** Number of bytes parsed, including line breaks, BOM, spaces, etc. */
+  /** Number of bytes of the row, including line breaks, BOM, spaces, etc. */
   numBytes: number;
+  /** With the `resync` option, number of bytes skipped after the offset to reach the first row */
+  skippedBytes?: number | undefined;
+  /**
+   * With the `resync` option, confidence in the row boundary: 'high' if the quotes prove that the offset was
+   * not inside a quoted field and the following rows are consistent, 'medium' if only one of both, else 'low'
+   */
+  resyncConfidence?: "high" | "medium" | "low" | undefined;
 }
 
 /**
@@ -241,5 +618,3 @@ export interface ParseResult {
    */
   meta: ParseMeta;
 }
-
-// TODO(SL): replace with an async iterator?